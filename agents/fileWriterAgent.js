@@ -1,152 +1,228 @@
 import fs from 'fs/promises';
 import path from 'path';
-import {
-    ChatPromptTemplate,
-    HumanMessagePromptTemplate,
-    SystemMessagePromptTemplate,
-} from '@langchain/core/prompts';
+import { createHash } from 'crypto';
 import { RunnableLambda } from "@langchain/core/runnables";
-import { StringOutputParser } from "@langchain/core/output_parsers";
-import { sanitizeFilename, extractJsonFromString } from '../utils.js';
-
-const fileContentGenerationPromptTemplate = ChatPromptTemplate.fromMessages([
-    SystemMessagePromptTemplate.fromTemplate(
-`You are an expert file creation assistant.
-Your task is to take movie details and generate a SINGLE JSON object containing:
-1.  A "filename": A fully sanitized filename string (lowercase, spaces to underscores, remove most non-alphanumeric characters except underscore/hyphen, max 60 chars, ending with .txt). Example: 'the_matrix_reloaded.txt'.
-2.  A "file_content": The fully formatted text content for the file.
-
-The file content MUST follow this exact structure, with data placeholders filled:
-Movie Title: {{title}} ({{year}})
---------------------------------------
-IMDb Rating:
-  {{imdbRating}}
-
-Main Cast:
-  {{mainCast}}
-
-Genre(s):
-  {{genre}}
-
-Movie Theme:
-  {{movieTheme}}
-
-Plot Summary:
-  {{plotSummary}}
-
-Instructions for JSON generation:
-- Replace placeholders like {{title}} with the actual data provided.
-- If a piece of data is 'N/A', 'Not Available', empty, or indicates an error, represent it as 'N/A' in the output file_content string (unless the placeholder is for an error message itself).
-- For "Movie Theme": if the provided theme is empty, 'N/A', or indicates inability to determine, use "Theme could not be determined." in the file_content.
-- You MUST output a single, well-formed JSON object with exactly two keys: "filename" (string) and "file_content" (string).
-- Do not include any other text, explanations, or markdown formatting (like \`\`\`json ... \`\`\`) around the JSON.
-- The "file_content" string MUST correctly use newline characters (\\n) for line breaks as shown in the template.
-- The "filename" you generate MUST be pre-sanitized according to the rules above.
-`
-    ),
-    HumanMessagePromptTemplate.fromTemplate(
-`Generate the JSON for filename and file content using these details:
-Title: {title}
-Year: {year}
-IMDb Rating: {imdbRating}
-Main Cast: {mainCast}
-Genre: {genre}
-Movie Theme: {movieTheme}
-Plot Summary: {plotSummary}
-OMDB/Theme Error (if any, for context): {omdbError}` 
-    ),
-]);
-
-
-async function nativeFileSystemWriteTool(filePath, content, outputDir) {
-    await fs.mkdir(outputDir, { recursive: true });
-    await fs.writeFile(filePath, content);
-    console.log(`    [NativeFSWriteTool] Successfully wrote to: ${filePath}`);
+import { sanitizeFilename, writeFileAtomic, runExclusive, fileExists } from '../utils.js';
+import { getRenderer, buildMovieRecord, DEFAULT_FORMAT, DEFAULT_SUMMARY_TIERS } from '../renderers/index.js';
+import { languageFileSuffix } from '../renderers/labels.js';
+import { parseMovieFile } from '../services/movieLibrary.js';
+import { normalizeTitleKey } from '../services/titleListReader.js';
+import { logger } from '../services/logger.js';
+
+// What to do when the file for a movie already exists.
+export const ON_EXISTS_POLICIES = ['overwrite', 'skip', 'version', 'merge'];
+export const DEFAULT_ON_EXISTS_POLICY = 'overwrite';
+export const METADATA_DIRNAME = '.meta';
+
+export function resolveOnExistsPolicy(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_ON_EXISTS_POLICY;
+    const policy = String(value).trim().toLowerCase();
+    if (!ON_EXISTS_POLICIES.includes(policy)) {
+        throw new Error(`Unknown --on-exists policy "${value}". Expected one of: ${ON_EXISTS_POLICIES.join(', ')}.`);
+    }
+    return policy;
 }
 
-export function createFileWriterAgent(llm, outputDir) {
-   
-    const llmJsonGenerationTool = fileContentGenerationPromptTemplate
-        .pipe(llm)
-        .pipe(new StringOutputParser());
-
-    const fileWriterAgentRunnable = RunnableLambda.from(async (inputObject) => {
-        console.log("\n[Agent: File Content Generation & Writing]");
-        const { movieDataFromOMDB, generatedTheme, refinedTitle } = inputObject;
-
-        const detailsForFileLlm = {
-            title: movieDataFromOMDB.title || refinedTitle || "Unknown Movie",
-            year: movieDataFromOMDB.year || 'N/A',
-            imdbRating: movieDataFromOMDB.imdbRating || 'N/A',
-            mainCast: movieDataFromOMDB.mainCast || 'N/A',
-            genre: movieDataFromOMDB.genre || 'N/A',
-            plotSummary: movieDataFromOMDB.plotSummary || 'N/A',
-            movieTheme: generatedTheme || 'Theme could not be determined.',
-            omdbError: movieDataFromOMDB.error || 'N/A' 
-        };
+async function nativeFileSystemWriteTool(filePath, content) {
+    await writeFileAtomic(filePath, content);
+    logger.info(`    [NativeFSWriteTool] Successfully wrote to: ${filePath}`);
+}
 
-        if (movieDataFromOMDB.Response === "False" || movieDataFromOMDB.error) {
-            console.warn(`  File for "${detailsForFileLlm.title}" will reflect data fetching/theme issues: ${movieDataFromOMDB.error || 'OMDB Sim indicated failure.'}`);
+// Titles in other scripts sanitize to nothing, which would leave "2016.txt" or a hidden ".txt".
+// They are named by their IMDb ID instead, or else by a hash of their title key.
+function titleStem(title, imdbID) {
+    const sanitized = sanitizeFilename(title);
+    if (/[a-z0-9]/.test(sanitized)) return sanitized;
+    if (imdbID) return sanitizeFilename(imdbID);
+    return `movie_${createHash('sha256').update(normalizeTitleKey(title ?? '')).digest('hex').slice(0, 8)}`;
+}
+
+// A file name is a stem (title and year, or title, year and IMDb ID) plus the language suffix
+// and extension, kept apart so versions can be numbered without parsing names back: titles may
+// contain dots ("e.t._the_extra-terrestrial_1982").
+function movieFileParts({ title, year, imdbID, language }, extension, { withImdbId = false } = {}) {
+    const yearMatch = String(year ?? '').match(/\d{4}/);
+    const titlePart = titleStem(title, imdbID);
+    const imdbPart = withImdbId && imdbID && sanitizeFilename(imdbID) !== titlePart ? sanitizeFilename(imdbID) : null;
+    const stem = [titlePart, yearMatch?.[0], imdbPart].filter(Boolean).join('_');
+    return { stem, suffix: `${languageFileSuffix(language)}.${extension}` };
+}
+
+export function movieFilename(record, extension) {
+    const { stem, suffix } = movieFileParts(record, extension);
+    return stem + suffix;
+}
+
+function metadataPathFor(filePath) {
+    return path.join(path.dirname(filePath), METADATA_DIRNAME, `${path.basename(filePath)}.json`);
+}
+
+async function readMetadata(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(metadataPathFor(filePath), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+// inception_2010.hi.txt -> inception_2010_v2.hi.txt, _v3, ...
+async function nextVersionPath(dir, { stem, suffix }) {
+    for (let version = 2; ; version++) {
+        const candidate = path.join(dir, `${stem}_v${version}${suffix}`);
+        if (!await fileExists(candidate)) return candidate;
+    }
+}
+
+// The same film always maps to "title_year", whichever source its data came from. Only when that
+// file belongs to a different film, as its metadata's IMDb ID shows, is the IMDb ID added.
+async function resolveFileParts(outputDir, record, extension) {
+    const parts = movieFileParts(record, extension);
+    if (!record.imdbID) return parts;
+    const existing = await readMetadata(path.join(outputDir, parts.stem + parts.suffix));
+    if (existing?.imdbID && existing.imdbID !== record.imdbID) {
+        return movieFileParts(record, extension, { withImdbId: true });
+    }
+    return parts;
+}
+
+function isEmptyValue(value) {
+    return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+}
+
+// New values win; fields the new record lacks (e.g. a summary tier that was not requested this
+// time, or a theme the LLM could not produce) are kept from the existing file.
+function mergeMovieRecords(existing, record) {
+    const merged = { ...record };
+    for (const [field, value] of Object.entries(existing)) {
+        if (field !== 'error' && isEmptyValue(merged[field]) && !isEmptyValue(value)) {
+            merged[field] = value;
         }
+    }
+    if (existing.summaries && record.summaries) {
+        merged.summaries = { ...existing.summaries, ...record.summaries };
+    }
+    return merged;
+}
+
+function buildMetadata({ filePath, record, renderer, contentSource, policy, action, inputObject, validationFailures, previous }) {
+    return {
+        file: path.basename(filePath),
+        generatedAt: new Date().toISOString(),
+        title: record.title,
+        year: record.year,
+        imdbID: record.imdbID,
+        language: record.language,
+        format: renderer.name,
+        contentSource,
+        dataSource: record.dataSource,
+        rawTitle: inputObject.raw_title ?? null,
+        refinedTitle: inputObject.refinedTitle ?? null,
+        onExists: policy,
+        action,
+        validationFailures: (validationFailures || []).map(failure => failure.agent),
+        ...(previous ? { previous: { generatedAt: previous.generatedAt, contentSource: previous.contentSource, format: previous.format } } : {}),
+    };
+}
 
-        let finalFilename;
-        let finalFileContent;
-        let wasLlmSuccessful = false;
-
-        try {                           
-            const rawLlmJsonOutput = await llmJsonGenerationTool.invoke(detailsForFileLlm);
-            console.log(`  LLM Raw File Details JSON String: ${rawLlmJsonOutput}`);
-            
-            const cleanedLlmJsonOutput = extractJsonFromString(rawLlmJsonOutput);
-            let fileDetailsJsonFromLlm;
-            try {
-                fileDetailsJsonFromLlm = JSON.parse(cleanedLlmJsonOutput);
-                if (!fileDetailsJsonFromLlm.filename || typeof fileDetailsJsonFromLlm.filename !== 'string' ||
-                    !fileDetailsJsonFromLlm.file_content || typeof fileDetailsJsonFromLlm.file_content !== 'string') {
-                    throw new Error("LLM JSON response missing 'filename' or 'file_content', or they are not strings.");
+export function createFileWriterAgent(llm, outputDir, {
+    format = DEFAULT_FORMAT,
+    summaryTiers = DEFAULT_SUMMARY_TIERS,
+    onExists = DEFAULT_ON_EXISTS_POLICY,
+    maxRetries,
+    onFileWritten = [],
+} = {}) {
+    const renderer = getRenderer(format);
+    const policy = resolveOnExistsPolicy(onExists);
+
+    // Decides on the target path, then renders and writes the file and its metadata. Runs
+    // exclusively per movie so two runs for the same movie cannot both decide a path is free.
+    async function writeMovieFile(record, inputObject, config) {
+        const parts = await resolveFileParts(outputDir, record, renderer.extension);
+        const filePath = path.join(outputDir, parts.stem + parts.suffix);
+        let targetPath = filePath;
+        let action = 'created';
+        let recordToRender = record;
+        let previous = null;
+
+        if (await fileExists(filePath)) {
+            if (policy === 'skip') {
+                return { filePath, action: 'skipped' };
+            }
+            if (policy === 'merge') {
+                const existing = parseMovieFile(path.basename(filePath), await fs.readFile(filePath, 'utf8'));
+                if (existing) {
+                    recordToRender = mergeMovieRecords(existing, record);
+                    action = 'merged';
+                } else {
+                    // Never overwrite what merge was asked to keep; write next to it instead.
+                    logger.warn(`  Could not read "${filePath}" to merge into; writing a new version instead.`);
                 }
-                
-                finalFilename = sanitizeFilename(fileDetailsJsonFromLlm.filename);
-                finalFileContent = fileDetailsJsonFromLlm.file_content;
-                wasLlmSuccessful = true;
-            } catch (parseError) {
-                console.error(`  Error parsing LLM's cleaned file details JSON for "${detailsForFileLlm.title}": ${parseError.message}. Cleaned: ${cleanedLlmJsonOutput}.`);
-                
             }
-        } catch (llmError) {
-            console.error(`  Error invoking LLM for file content generation for "${detailsForFileLlm.title}": ${llmError.message}`);
-          
+            if (policy === 'version' || (policy === 'merge' && action !== 'merged')) {
+                targetPath = await nextVersionPath(outputDir, parts);
+                action = 'versioned';
+            } else if (policy === 'overwrite') {
+                action = 'overwritten';
+            }
+            if (targetPath === filePath) previous = await readMetadata(filePath);
+        }
+
+        const rendered = await renderer.render(recordToRender, { llm, maxRetries, config });
+        const { content, contentSource = 'deterministic', validationFailure } =
+            typeof rendered === 'string' ? { content: rendered } : rendered;
+        const validationFailures = validationFailure
+            ? [...(inputObject.validationFailures || []), validationFailure]
+            : inputObject.validationFailures;
+        await nativeFileSystemWriteTool(targetPath, content);
+        try {
+            await writeFileAtomic(metadataPathFor(targetPath), JSON.stringify(buildMetadata({
+                filePath: targetPath, record: recordToRender, renderer, contentSource, policy, action, inputObject, validationFailures, previous,
+            }), null, 2) + '\n');
+        } catch (metadataError) {
+            logger.warn(`  Could not write metadata for "${targetPath}": ${metadataError.message}`);
         }
+        return { filePath: targetPath, action, contentSource, validationFailures, record: recordToRender };
+    }
+
+    const fileWriterAgentRunnable = RunnableLambda.from(async (inputObject, config) => {
+        logger.info(`\n[Agent: File Content Generation & Writing (format: ${renderer.name})]`);
+        const { movieDataFromOMDB } = inputObject;
+        const record = buildMovieRecord({ ...inputObject, summaryTiers });
 
-        if (!wasLlmSuccessful) {
-            console.warn(`  Falling back to manually constructed filename and content for "${detailsForFileLlm.title}".`);
-            finalFilename = sanitizeFilename(detailsForFileLlm.title) + ".txt";
-            
-            finalFileContent = `Movie Title: ${detailsForFileLlm.title} (${detailsForFileLlm.year})\n` +
-                               `--------------------------------------\n` +
-                               `IMDb Rating:\n  ${detailsForFileLlm.imdbRating}\n\n` +
-                               `Main Cast:\n  ${detailsForFileLlm.mainCast}\n\n` +
-                               `Genre(s):\n  ${detailsForFileLlm.genre}\n\n` +
-                               `Movie Theme:\n  ${(detailsForFileLlm.movieTheme && !detailsForFileLlm.movieTheme.toLowerCase().includes("could not be determined")) ? detailsForFileLlm.movieTheme : "Theme could not be determined."}\n\n` +
-                               `Plot Summary:\n  ${detailsForFileLlm.plotSummary}\n\n` +
-                               `--- Fallback Content Note ---\n` +
-                               `This content was generated due to an issue with the LLM producing the structured file details.\n` +
-                               `OMDB/Theme Agent Error (if any): ${detailsForFileLlm.omdbError}\n`;
+        if (movieDataFromOMDB.Response === "False" || movieDataFromOMDB.error) {
+            logger.warn(`  File for "${record.title}" will reflect data fetching/theme issues: ${movieDataFromOMDB.error || 'OMDB Sim indicated failure.'}`);
         }
 
-        const filePath = path.join(outputDir, finalFilename);
+        let filePath = path.join(outputDir, movieFilename(record, renderer.extension));
+        let validationFailures = inputObject.validationFailures;
         try {
-            await nativeFileSystemWriteTool(filePath, finalFileContent, outputDir); 
-            const successMessage = `Successfully wrote movie details for "${detailsForFileLlm.title}" to: ${filePath} (LLM generated content/name: ${wasLlmSuccessful})`;
-            console.log(`  ${successMessage}`);
-            return { ...inputObject, finalMessage: successMessage, writtenFilePath: filePath };
+            const written = await runExclusive(path.resolve(filePath), () => writeMovieFile(record, inputObject, config));
+            filePath = written.filePath;
+            validationFailures = written.validationFailures ?? validationFailures;
+
+            if (written.action === 'skipped') {
+                const skipMessage = `Kept existing file for "${record.title}": ${filePath} (--on-exists skip)`;
+                logger.info(`  ${skipMessage}`);
+                return { ...inputObject, status: "written", finalMessage: skipMessage, writtenFilePath: filePath, outputFormat: renderer.name, fileAction: written.action, validationFailures };
+            }
+
+            for (const hook of onFileWritten) {
+                try {
+                    await hook({ filePath, record: written.record, format: renderer.name, inputObject });
+                } catch (hookError) {
+                    logger.warn(`  Post-write hook failed for "${filePath}": ${hookError.message}`);
+                }
+            }
+            const successMessage = `Successfully wrote movie details for "${record.title}" to: ${filePath} (format: ${renderer.name}, content: ${written.contentSource}${written.action === 'created' ? '' : `, ${written.action}`})`;
+            logger.info(`  ${successMessage}`);
+            return { ...inputObject, status: "written", finalMessage: successMessage, writtenFilePath: filePath, outputFormat: renderer.name, fileAction: written.action, validationFailures };
         } catch (writeError) {
-             const errorMsg = `Error writing file "${filePath}" for "${detailsForFileLlm.title}": ${writeError.message}`;
-            console.error(`  ${errorMsg}`);
-            return { ...inputObject, finalMessage: errorMsg, writtenFilePath: filePath }; 
+             const errorMsg = `Error writing file "${filePath}" for "${record.title}": ${writeError.message}`;
+            logger.error(`  ${errorMsg}`);
+            return { ...inputObject, status: "write_failed", finalMessage: errorMsg, writtenFilePath: filePath, validationFailures };
         }
 
     }).withConfig({ runName: "FileWriterAgentStep" });
 
     return fileWriterAgentRunnable;
-}
\ No newline at end of file
+}
@@ -0,0 +1,120 @@
+import {
+    ChatPromptTemplate,
+    HumanMessagePromptTemplate,
+    SystemMessagePromptTemplate,
+} from '@langchain/core/prompts';
+import { RunnableLambda } from "@langchain/core/runnables";
+import { localizedMovieTextSchema } from './schemas.js';
+import { createStructuredOutputTool, StructuredOutputError, validationFailureFromError } from '../services/structuredOutput.js';
+import { TransientError } from '../services/llmResilience.js';
+import { languageInfo, isThemeFallback } from '../renderers/labels.js';
+import { logger } from '../services/logger.js';
+
+const localizationPromptTemplate = ChatPromptTemplate.fromMessages([
+    SystemMessagePromptTemplate.fromTemplate(
+        "You are a professional film subtitle translator. Translate the movie's plot summary, theme and summary variants into {language_name} ({language_native_name}). " +
+        "Write natural, fluent {language_name} for a general audience and keep the meaning and length of the original. " +
+        "Keep the movie title, character names, actor names and other proper nouns exactly as they appear in the original (do not translate or transliterate them). " +
+        "If a text is \"N/A\", return \"N/A\" for it. Translate the logline, synopsis and full summary only if they are given.\n\n" +
+        "{format_instructions}"
+    ),
+    HumanMessagePromptTemplate.fromTemplate(
+        "Movie: {title} ({year})\nCast (keep as is): {cast}\nPlot summary: {plot}\nTheme: {theme}{summary_variants}"
+    ),
+]);
+
+const SUMMARY_VARIANT_LABELS = { logline: 'Logline', synopsis: 'Synopsis', full: 'Full summary' };
+
+function translatedOrNull(text) {
+    const trimmed = (text || '').trim();
+    return !trimmed || trimmed === 'N/A' ? null : trimmed;
+}
+
+function givenSummaryTiers(plotSummaries) {
+    return Object.keys(SUMMARY_VARIANT_LABELS).filter(tier => plotSummaries?.[tier]?.text);
+}
+
+function describeSummaryVariants(plotSummaries) {
+    return givenSummaryTiers(plotSummaries)
+        .map(tier => `\n${SUMMARY_VARIANT_LABELS[tier]}: ${plotSummaries[tier].text}`)
+        .join('');
+}
+
+// Spoiler flags and check results carry over; only the texts are replaced.
+function localizePlotSummaries(plotSummaries, localized) {
+    if (!plotSummaries) return plotSummaries;
+    return Object.fromEntries(Object.entries(plotSummaries).map(([tier, summary]) =>
+        [tier, { ...summary, text: translatedOrNull(localized[tier]) || summary.text }]));
+}
+
+// Translates the plot summary and theme of a found movie; title, cast and everything else stay as fetched.
+export function createLocalizationAgent(llm, { language, maxRetries } = {}) {
+    const { name: languageName, nativeName } = languageInfo(language);
+    // Every summary tier that is given must come back translated, so a tier the model leaves out is
+    // re-prompted (and finally fails validation) instead of staying English in a translated file.
+    const localizationLlmTools = new Map();
+    function localizationLlmToolFor(tiers) {
+        const key = tiers.join(',');
+        if (!localizationLlmTools.has(key)) {
+            const schema = localizedMovieTextSchema.required(Object.fromEntries(tiers.map(tier => [tier, true])));
+            localizationLlmTools.set(key, createStructuredOutputTool(localizationPromptTemplate, llm, schema, {
+                maxRetries,
+                name: "Localization",
+            }));
+        }
+        return localizationLlmTools.get(key);
+    }
+
+    const localizationAgentRunnable = RunnableLambda.from(async (inputObject, config) => {
+        const { movieDataFromOMDB, generatedTheme, plotSummaries } = inputObject;
+        if (inputObject.transientFailure || inputObject.titleIsUncertain || movieDataFromOMDB?.Response !== "True") {
+            return { ...inputObject, outputLanguage: language };
+        }
+
+        logger.info(`\n[Agent: Localization (${languageName})]`);
+        const validationFailures = [...(inputObject.validationFailures || [])];
+        try {
+            const localized = await localizationLlmToolFor(givenSummaryTiers(plotSummaries)).invoke({
+                language_name: languageName,
+                language_native_name: nativeName,
+                title: movieDataFromOMDB.title,
+                year: movieDataFromOMDB.year || 'N/A',
+                cast: movieDataFromOMDB.mainCast || 'N/A',
+                plot: movieDataFromOMDB.plotSummary || 'N/A',
+                theme: generatedTheme && !isThemeFallback(generatedTheme) ? generatedTheme : 'N/A',
+                summary_variants: describeSummaryVariants(plotSummaries),
+            }, config);
+            logger.info(`  Translated plot summary and theme of "${movieDataFromOMDB.title}" into ${languageName}.`);
+            return {
+                ...inputObject,
+                movieDataFromOMDB: { ...movieDataFromOMDB, plotSummary: translatedOrNull(localized.plotSummary) || movieDataFromOMDB.plotSummary },
+                generatedTheme: translatedOrNull(localized.theme) || generatedTheme,
+                plotSummaries: localizePlotSummaries(plotSummaries, localized),
+                outputLanguage: language,
+                validationFailures,
+            };
+        } catch (error) {
+            if (error instanceof TransientError) {
+                logger.warn(`  Localization is temporarily unavailable: ${error.message}`);
+                return {
+                    ...inputObject,
+                    outputLanguage: language,
+                    transientFailure: { code: error.code, message: error.message, step: "localization" },
+                };
+            }
+            if (!(error instanceof StructuredOutputError)) throw error;
+            // No file is written: an English text would be mislabelled, and writing it as the English
+            // version could overwrite one. The run fails so batch --resume tries the language again.
+            logger.warn(`  ${error.message}. No ${languageName} file will be written.`);
+            validationFailures.push(validationFailureFromError("localization", error));
+            return {
+                ...inputObject,
+                outputLanguage: language,
+                validationFailures,
+                localizationFailure: { language, message: error.message },
+            };
+        }
+    }).withConfig({ runName: "LocalizationAgentStep" });
+
+    return localizationAgentRunnable;
+}
@@ -0,0 +1,59 @@
+import {
+    ChatPromptTemplate,
+    HumanMessagePromptTemplate,
+    SystemMessagePromptTemplate,
+} from '@langchain/core/prompts';
+import { RunnableLambda } from "@langchain/core/runnables";
+import { movieComparisonSchema } from './schemas.js';
+import { createStructuredOutputTool, StructuredOutputError, validationFailureFromError } from '../services/structuredOutput.js';
+import { logger } from '../services/logger.js';
+
+const movieComparisonPromptTemplate = ChatPromptTemplate.fromMessages([
+    SystemMessagePromptTemplate.fromTemplate(
+        "You are a film critic comparing movies for a viewer deciding what to watch. " +
+        "Using only the details provided, identify the themes the movies share, the ways they contrast in theme, tone or message, " +
+        "and write a short, fair verdict on how they compare and who would enjoy each.\n\n" +
+        "{format_instructions}"
+    ),
+    HumanMessagePromptTemplate.fromTemplate("Compare these movies:\n\n{movie_details}"),
+]);
+
+function describeMovieForPrompt(record, index) {
+    return `Movie ${index + 1}: ${record.title} (${record.year || 'N/A'})\n` +
+           `Genre: ${record.genre.join(', ') || 'N/A'}\n` +
+           `Theme: ${record.theme || 'N/A'}\n` +
+           `Plot: ${record.plotSummary || 'N/A'}`;
+}
+
+export function createMovieComparisonAgent(llm, { maxRetries } = {}) {
+    const movieComparisonLlmTool = createStructuredOutputTool(movieComparisonPromptTemplate, llm, movieComparisonSchema, {
+        maxRetries,
+        name: "MovieComparison",
+    });
+
+    const movieComparisonAgentRunnable = RunnableLambda.from(async (inputObject, config) => {
+        logger.info("\n[Agent: Movie Comparison]");
+        const { movieRecords } = inputObject;
+        const validationFailures = [...(inputObject.validationFailures || [])];
+
+        let comparison = {
+            sharedThemes: [],
+            contrastingThemes: [],
+            verdict: "A verdict could not be generated for these movies.",
+        };
+        try {
+            comparison = await movieComparisonLlmTool.invoke({
+                movie_details: movieRecords.map(describeMovieForPrompt).join('\n\n'),
+            }, config);
+            logger.info(`  Compared ${movieRecords.length} movies: ${movieRecords.map(record => `"${record.title}"`).join(', ')}`);
+        } catch (error) {
+            if (!(error instanceof StructuredOutputError)) throw error;
+            logger.warn(`  ${error.message}. The report will only contain the side-by-side table.`);
+            validationFailures.push(validationFailureFromError("movieComparison", error));
+        }
+
+        return { ...inputObject, comparison, validationFailures };
+    }).withConfig({ runName: "MovieComparisonAgentStep" });
+
+    return movieComparisonAgentRunnable;
+}
@@ -5,11 +5,15 @@ import {
     SystemMessagePromptTemplate,
 } from '@langchain/core/prompts';
 import { RunnableLambda } from "@langchain/core/runnables";
-import { StringOutputParser } from "@langchain/core/output_parsers";
-import { extractJsonFromString } from '../utils.js';
+import { movieRecordSchema, movieThemeSchema, plotSummariesSchema } from './schemas.js';
+import { createStructuredOutputTool, StructuredOutputError, validationFailureFromError } from '../services/structuredOutput.js';
+import { createOmdbClient, splitTitleAndYear, DEFAULT_OMDB_BASE_URL } from '../services/omdbClient.js';
+import { TransientError } from '../services/llmResilience.js';
+import { logger } from '../services/logger.js';
 
 const OMDB_API_KEY = process.env.OMDB_API_KEY;
-const OMDB_BASE_URL = 'http://www.omdbapi.com/';
+const OMDB_BASE_URL = process.env.OMDB_BASE_URL || DEFAULT_OMDB_BASE_URL;
+const THEME_NOT_DETERMINED = "Theme could not be determined due to lack of plot details.";
 
 const movieDataAndThemePromptTemplate = ChatPromptTemplate.fromMessages([
     SystemMessagePromptTemplate.fromTemplate(
@@ -26,7 +30,7 @@ STAGE 1: OMDB API Simulation
     - "imdbRating": string (e.g., "8.8")
     - "Actors": string (comma-separated list of main actors, ideally 3-5 names)
     - "Genre": string (comma-separated list of genres)
-    - "Plot": string (full plot summary)
+    - "Plot": string (short plot summary of 1-3 sentences that does not reveal the ending)
     - "Response": "True" (as a string)
 - If the movie is NOT found or you simulate an error:
     - Set "Response": "False" (as a string)
@@ -42,8 +46,9 @@ STAGE 2: Movie Theme Generation
 OUTPUT REQUIREMENT:
 - You MUST output a single, well-formed JSON object.
 - This JSON object MUST contain all the fields from STAGE 1 ("Title", "Year", "imdbRating", "Actors", "Genre", "Plot", "Response", and "Error" if applicable) AND the "MovieTheme" field from STAGE 2.
-- Do not include any other text, explanations, or markdown formatting (like \`\`\`json ... \`\`\`) around the JSON.
 - Ensure "Actors" and "Genre" are comma-separated strings. For empty lists, use "N/A".
+
+{format_instructions}
 `
     ),
     HumanMessagePromptTemplate.fromTemplate(
@@ -51,14 +56,149 @@ OUTPUT REQUIREMENT:
     ),
 ]);
 
-export function createMovieDataAndThemeAgent(llm) {
-    const movieDataAndThemeLlmTool = movieDataAndThemePromptTemplate
-        .pipe(llm)
-        .pipe(new StringOutputParser());
+const movieThemePromptTemplate = ChatPromptTemplate.fromMessages([
+    SystemMessagePromptTemplate.fromTemplate(
+`You are a movie theme writer.
+Given a movie's title, genre and plot as returned by the OMDB API, derive a concise 'MovieTheme'.
+The theme should be a short, descriptive phrase (10-15 words max) capturing the central idea, tone, or dominant message.
+If the plot is "N/A" or too brief, set "MovieTheme" to exactly: ${THEME_NOT_DETERMINED}
+
+{format_instructions}`
+    ),
+    HumanMessagePromptTemplate.fromTemplate(
+        "Title: {title}\nGenre: {genre}\nPlot: {plot}"
+    ),
+]);
+
+const plotSummariesPromptTemplate = ChatPromptTemplate.fromMessages([
+    SystemMessagePromptTemplate.fromTemplate(
+`You are a film critic writing plot summaries at three lengths for a movie database.
+Use the plot given below together with your own knowledge of the movie.
+- "logline": one sentence (max 30 words) about the premise. It must not reveal the ending.
+- "synopsis": 2-4 sentences covering the setup and the central conflict. It must not reveal the ending, any twist or the fate of main characters.
+- "full": 5-10 sentences telling the whole story, including the ending.
+Flag each text with "containsSpoilers": true if it reveals the ending, a twist or the fate of a main character, otherwise false.
+Use only facts about this movie; do not invent plot points you are unsure of.
+
+{format_instructions}`
+    ),
+    HumanMessagePromptTemplate.fromTemplate(
+        "Movie: {title} ({year})\nGenre: {genre}\nPlot: {plot}"
+    ),
+]);
+
+export function resolveMovieDataSource(requestedSource) {
+    const source = (requestedSource || process.env.MOVIE_DATA_SOURCE || (OMDB_API_KEY ? 'omdb' : 'llm')).toLowerCase();
+    if (source !== 'omdb' && source !== 'llm') {
+        throw new Error(`Unknown movie data source "${source}". Expected "omdb" or "llm".`);
+    }
+    return source;
+}
+
+async function lookupMovieInOmdb(omdbClient, refinedTitle, refinedYear) {
+    const split = splitTitleAndYear(refinedTitle);
+    const title = split.title;
+    const year = refinedYear || split.year;
+    const omdbResult = await omdbClient.findMovie(title, { year });
+    if (omdbResult.Response === "False" && !omdbResult.transient && year) {
+        // Titles such as "Blade Runner 2049" end in something that looks like a year, which either
+        // stayed in the refined title or was moved into the year by title refinement.
+        const fullTitle = split.year ? refinedTitle : `${refinedTitle} ${refinedYear}`;
+        const fullTitleResult = await omdbClient.findMovie(fullTitle);
+        if (fullTitleResult.Response === "True") return fullTitleResult;
+    }
+    return omdbResult;
+}
+
+export function createMovieDataAndThemeAgent(llm, { dataSource, omdbClient, maxRetries, generateSummaries = true } = {}) {
+    const resolvedDataSource = resolveMovieDataSource(dataSource);
+    const omdb = omdbClient || createOmdbClient({ apiKey: OMDB_API_KEY, baseUrl: OMDB_BASE_URL });
+
+    const movieDataAndThemeLlmTool = createStructuredOutputTool(movieDataAndThemePromptTemplate, llm, movieRecordSchema, {
+        maxRetries,
+        name: "MovieDataAndTheme",
+    });
+
+    const movieThemeLlmTool = createStructuredOutputTool(movieThemePromptTemplate, llm, movieThemeSchema, {
+        maxRetries,
+        name: "MovieTheme",
+    });
+
+    const plotSummariesLlmTool = createStructuredOutputTool(plotSummariesPromptTemplate, llm, plotSummariesSchema, {
+        maxRetries,
+        name: "PlotSummaries",
+    });
+
+    // Summary tiers are optional: without them the file falls back to the plain plot summary.
+    async function generatePlotSummaries(movieData, validationFailures, config) {
+        if (!generateSummaries || movieData.Response !== "True" || !movieData.Plot || movieData.Plot === "N/A") return null;
+        try {
+            const plotSummaries = await plotSummariesLlmTool.invoke({
+                title: movieData.Title,
+                year: movieData.Year || "N/A",
+                genre: movieData.Genre || "N/A",
+                plot: movieData.Plot,
+            }, config);
+            logger.info(`  Generated logline, synopsis and full summary for "${movieData.Title}".`);
+            return plotSummaries;
+        } catch (error) {
+            if (error instanceof TransientError) throw error;
+            logger.error(`  Error generating plot summaries for "${movieData.Title}" with LLM: ${error.message}`);
+            if (error instanceof StructuredOutputError) {
+                validationFailures.push(validationFailureFromError("plotSummaries", error));
+            }
+            return null;
+        }
+    }
+
+    async function fetchFromOmdb(refinedTitle, refinedYear, validationFailures, config) {
+        const omdbResult = await lookupMovieInOmdb(omdb, refinedTitle, refinedYear);
+        if (omdbResult.transient) {
+            throw new TransientError(`OMDb is unavailable: ${omdbResult.Error}`, { code: 'unavailable' });
+        }
+        if (omdbResult.Response === "False") {
+            logger.warn(`  OMDb could not find "${refinedTitle}": ${omdbResult.Error}`);
+            return { ...omdbResult, Title: refinedTitle };
+        }
+        logger.info(`  OMDb returned "${omdbResult.Title}" (${omdbResult.Year}, ${omdbResult.imdbID})`);
+
+        let movieTheme = THEME_NOT_DETERMINED;
+        if (omdbResult.Plot && omdbResult.Plot !== "N/A") {
+            try {
+                const themeOutput = await movieThemeLlmTool.invoke({
+                    title: omdbResult.Title,
+                    genre: omdbResult.Genre || "N/A",
+                    plot: omdbResult.Plot,
+                }, config);
+                movieTheme = themeOutput.MovieTheme.trim();
+            } catch (error) {
+                if (error instanceof TransientError) throw error;
+                logger.error(`  Error generating theme for "${omdbResult.Title}" with LLM: ${error.message}`);
+                if (error instanceof StructuredOutputError) {
+                    validationFailures.push(validationFailureFromError("movieTheme", error));
+                }
+                movieTheme = "Theme could not be determined due to processing error.";
+            }
+        }
+        return { ...omdbResult, MovieTheme: movieTheme };
+    }
 
-    const movieDataAndThemeAgentRunnable = RunnableLambda.from(async (inputObject) => {
-        console.log("\n[Agent: Movie Data Simulation & Theme Generation (Combined)]");
-        const { refinedTitle, titleIsUncertain, raw_title } = inputObject;
+    async function simulateWithLlm(refinedTitle, refinedYear, config) {
+        const movieData = await movieDataAndThemeLlmTool.invoke({
+            refined_movie_title: refinedYear ? `${refinedTitle} (${refinedYear})` : refinedTitle,
+        }, config);
+        logger.debug(`  LLM Validated Response (Data & Theme): ${JSON.stringify(movieData)}`);
+        return movieData;
+    }
+
+    const movieDataAndThemeAgentRunnable = RunnableLambda.from(async (inputObject, config) => {
+        logger.info(resolvedDataSource === 'omdb'
+            ? "\n[Agent: Movie Data (OMDb) & Theme Generation]"
+            : "\n[Agent: Movie Data Simulation & Theme Generation (Combined)]");
+        const { refinedTitle, refinedYear, titleIsUncertain, raw_title } = inputObject;
+        let { transientFailure } = inputObject;
+        let plotSummaries = null;
+        const validationFailures = [...(inputObject.validationFailures || [])];
 
         let movieDataWithTheme = {
             Title: refinedTitle || raw_title || "N/A",
@@ -72,17 +212,19 @@ export function createMovieDataAndThemeAgent(llm) {
             Error: "Initial error before LLM call or due to uncertain title."
         };
 
-        if (titleIsUncertain) {
+        if (transientFailure) {
+            const message = `Skipping data lookup for "${refinedTitle || raw_title}" because an earlier step was unavailable.`;
+            logger.warn(`  ${message}`);
+            movieDataWithTheme.Error = message;
+        } else if (titleIsUncertain) {
             const message = `Cannot reliably fetch data or generate theme for uncertain title: "${refinedTitle || raw_title}"`;
-            console.warn(`  ${message}`);
+            logger.warn(`  ${message}`);
             movieDataWithTheme.Error = message;
         } else {
             try {
-                const rawLlmJsonResponse = await movieDataAndThemeLlmTool.invoke({ refined_movie_title: refinedTitle });
-                console.log(`  LLM Raw JSON Response (Data & Theme): ${rawLlmJsonResponse}`);
-
-                const cleanedJsonString = extractJsonFromString(rawLlmJsonResponse);
-                const parsedLlmOutput = JSON.parse(cleanedJsonString);
+                const parsedLlmOutput = resolvedDataSource === 'omdb'
+                    ? await fetchFromOmdb(refinedTitle, refinedYear, validationFailures, config)
+                    : await simulateWithLlm(refinedTitle, refinedYear, config);
 
                 movieDataWithTheme = {
                     ...movieDataWithTheme,
@@ -95,16 +237,32 @@ export function createMovieDataAndThemeAgent(llm) {
                 if (movieDataWithTheme.Response === "False" && !movieDataWithTheme.Error) {
                     movieDataWithTheme.Error = "LLM indicated movie not found or error simulating data.";
                 }
+                if (movieDataWithTheme.Response === "True") {
+                    delete movieDataWithTheme.Error;
+                }
+
+                plotSummaries = await generatePlotSummaries(movieDataWithTheme, validationFailures, config);
 
                 if (movieDataWithTheme.Response === "False") {
-                    console.warn(`  LLM indicated problem for title "${refinedTitle}": ${movieDataWithTheme.Error}`);
+                    logger.warn(`  Data source (${resolvedDataSource}) indicated problem for title "${refinedTitle}": ${movieDataWithTheme.Error}`);
                 } else {
-                    console.log(`  LLM successfully processed data and theme for: "${movieDataWithTheme.Title}"`);
+                    logger.info(`  Successfully processed data and theme for: "${movieDataWithTheme.Title}" (source: ${resolvedDataSource})`);
                 }
 
             } catch (error) {
-                console.error(`  Critical error processing data/theme for "${refinedTitle}" with LLM: ${error.message}. Raw LLM output might have been: ${extractJsonFromString(error.llmOutput || "")}`);
-                movieDataWithTheme.Error = `LLM processing error: ${error.message}`;
+                if (error instanceof TransientError) {
+                    logger.warn(`  Data/theme lookup for "${refinedTitle}" is temporarily unavailable: ${error.message}`);
+                    transientFailure = { code: error.code, message: error.message, step: "movieDataAndTheme" };
+                } else {
+                    logger.error(`  Critical error processing data/theme for "${refinedTitle}" (source: ${resolvedDataSource}): ${error.message}`);
+                }
+                if (error.rawOutput) {
+                    logger.debug(`  Raw LLM output: ${error.rawOutput}`);
+                }
+                if (error instanceof StructuredOutputError) {
+                    validationFailures.push(validationFailureFromError("movieDataAndTheme", error));
+                }
+                movieDataWithTheme.Error = `${resolvedDataSource === 'omdb' ? 'OMDb' : 'LLM'} processing error: ${error.message}`;
                 movieDataWithTheme.Response = "False";
                 movieDataWithTheme.Plot = "N/A";
                 movieDataWithTheme.MovieTheme = "Theme could not be determined due to processing error.";
@@ -118,11 +276,20 @@ export function createMovieDataAndThemeAgent(llm) {
             mainCast: movieDataWithTheme.Actors || "N/A",
             genre: movieDataWithTheme.Genre || "N/A",
             plotSummary: movieDataWithTheme.Plot || "N/A",
+            imdbID: movieDataWithTheme.imdbID || "N/A",
+            dataSource: resolvedDataSource,
             Response: movieDataWithTheme.Response,
             error: movieDataWithTheme.Error
         };
 
-        return { ...inputObject, movieDataFromOMDB: movieDataForNextStep, generatedTheme: movieDataWithTheme.MovieTheme };
+        return {
+            ...inputObject,
+            movieDataFromOMDB: movieDataForNextStep,
+            generatedTheme: movieDataWithTheme.MovieTheme,
+            plotSummaries,
+            validationFailures,
+            ...(transientFailure ? { transientFailure } : {}),
+        };
 
     }).withConfig({ runName: "MovieDataAndThemeAgentStep" });
 
@@ -0,0 +1,83 @@
+import { z } from 'zod';
+
+const omdbString = z.string().min(1);
+
+const releaseYear = z.string().regex(/^\d{4}$/).nullable();
+
+export const titleCandidateSchema = z.object({
+    title: z.string().min(1).describe("Official movie title."),
+    year: releaseYear.describe("Four-digit release year, otherwise null."),
+});
+
+export const refinedTitleSchema = z.object({
+    refinedTitle: z.string().min(1).describe("The most likely official movie title, or the original input when uncertain."),
+    year: releaseYear.describe("Four-digit release year if known, otherwise null."),
+    isUncertain: z.boolean().describe("true when the input is too vague to identify a single movie."),
+    candidates: z.array(titleCandidateSchema).max(5).default([])
+        .describe("Up to 5 possible movies, most likely first. Required when isUncertain is true."),
+});
+
+export const movieRecordSchema = z.object({
+    Title: omdbString.describe("Official movie title, or the input title / \"N/A\" when not found."),
+    Year: omdbString.describe("Release year, e.g. \"2010\", or \"N/A\"."),
+    imdbRating: omdbString.describe("IMDb rating, e.g. \"8.8\", or \"N/A\"."),
+    Actors: omdbString.describe("Comma-separated main actors (3-5 names), or \"N/A\"."),
+    Genre: omdbString.describe("Comma-separated genres, or \"N/A\"."),
+    Plot: omdbString.describe("Short plot summary that does not reveal the ending, or \"N/A\"."),
+    Response: z.enum(["True", "False"]).describe("\"True\" if the movie was found, otherwise \"False\"."),
+    Error: z.string().optional().describe("Reason the movie was not found; only when Response is \"False\"."),
+    MovieTheme: omdbString.describe("Concise 10-15 word theme of the movie."),
+});
+
+export const movieThemeSchema = z.object({
+    MovieTheme: omdbString.describe("Concise 10-15 word theme of the movie."),
+});
+
+const plotSummaryTierSchema = z.object({
+    text: z.string().min(1),
+    containsSpoilers: z.boolean().describe("true if the text reveals the ending, a twist or the fate of a main character."),
+});
+
+export const plotSummariesSchema = z.object({
+    logline: plotSummaryTierSchema.describe("One spoiler-free sentence (max 30 words) about the premise."),
+    synopsis: plotSummaryTierSchema.describe("A spoiler-free synopsis of 2-4 sentences covering the setup, not the outcome."),
+    full: plotSummaryTierSchema.describe("A complete plot summary of 5-10 sentences, including the ending."),
+});
+
+const spoilerVerdictSchema = z.object({
+    revealsEnding: z.boolean().describe("true if the text gives away the ending, a twist or the fate of a main character."),
+    reason: z.string().describe("What is given away, or an empty string."),
+});
+
+export const spoilerCheckSchema = z.object({
+    logline: spoilerVerdictSchema,
+    synopsis: spoilerVerdictSchema,
+});
+
+export const fileDescriptorSchema = z.object({
+    file_content: z.string().min(1),
+});
+
+export const movieComparisonSchema = z.object({
+    sharedThemes: z.array(z.string().min(1)).max(5).describe("Themes or ideas the movies have in common."),
+    contrastingThemes: z.array(z.string().min(1)).max(5).describe("Ways the movies differ in theme, tone or message."),
+    verdict: z.string().min(1).describe("A short verdict (2-4 sentences) on how the movies compare and who would enjoy each."),
+});
+
+export const MAX_SIMILAR_TITLES = 10;
+
+export const similarTitlesSchema = z.object({
+    suggestions: z.array(z.object({
+        title: z.string().min(1).describe("Official movie title."),
+        year: releaseYear.describe("Four-digit release year, otherwise null."),
+        reason: z.string().min(1).describe("One-line reason why it is similar."),
+    })).min(1).max(MAX_SIMILAR_TITLES),
+});
+
+export const localizedMovieTextSchema = z.object({
+    plotSummary: z.string().min(1).describe("The plot summary translated into the target language, or \"N/A\" if none was given."),
+    theme: z.string().min(1).describe("The theme translated into the target language, or \"N/A\" if none was given."),
+    logline: z.string().min(1).optional().describe("The logline translated into the target language, if one was given."),
+    synopsis: z.string().min(1).optional().describe("The synopsis translated into the target language, if one was given."),
+    full: z.string().min(1).optional().describe("The full summary translated into the target language, if one was given."),
+});
@@ -0,0 +1,52 @@
+import {
+    ChatPromptTemplate,
+    HumanMessagePromptTemplate,
+    SystemMessagePromptTemplate,
+} from '@langchain/core/prompts';
+import { RunnableLambda } from "@langchain/core/runnables";
+import { similarTitlesSchema, MAX_SIMILAR_TITLES } from './schemas.js';
+import { createStructuredOutputTool } from '../services/structuredOutput.js';
+import { logger } from '../services/logger.js';
+
+const similarTitlesPromptTemplate = ChatPromptTemplate.fromMessages([
+    SystemMessagePromptTemplate.fromTemplate(
+        "You are a movie recommendation expert. Given a movie, suggest exactly {count} other real, released movies that a fan of it would enjoy. " +
+        "Prefer movies that share its themes, tone or genre, and do not suggest the movie itself. " +
+        "Give each suggestion's official title, its release year and a one-line reason.\n\n" +
+        "{format_instructions}"
+    ),
+    HumanMessagePromptTemplate.fromTemplate(
+        "Movie: {title} ({year})\nGenre: {genre}\nTheme: {theme}\nPlot: {plot}"
+    ),
+]);
+
+export function createSimilarTitlesAgent(llm, { count = 5, maxRetries } = {}) {
+    // The schema caps the list, so a larger count could never validate.
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SIMILAR_TITLES) {
+        throw new Error(`--count must be between 1 and ${MAX_SIMILAR_TITLES} (got ${count}).`);
+    }
+    const similarTitlesLlmTool = createStructuredOutputTool(similarTitlesPromptTemplate, llm, similarTitlesSchema, {
+        maxRetries,
+        name: "SimilarTitles",
+    });
+
+    const similarTitlesAgentRunnable = RunnableLambda.from(async (inputObject, config) => {
+        logger.info("\n[Agent: Similar Titles]");
+        const { movieRecord } = inputObject;
+
+        const { suggestions } = await similarTitlesLlmTool.invoke({
+            count: String(count),
+            title: movieRecord.title,
+            year: movieRecord.year || 'N/A',
+            genre: movieRecord.genre.join(', ') || 'N/A',
+            theme: movieRecord.theme || 'N/A',
+            plot: movieRecord.plotSummary || 'N/A',
+        }, config);
+
+        const similarTitles = suggestions.slice(0, count);
+        similarTitles.forEach(suggestion => logger.info(`  ${suggestion.title}${suggestion.year ? ` (${suggestion.year})` : ''}: ${suggestion.reason}`));
+        return { ...inputObject, similarTitles };
+    }).withConfig({ runName: "SimilarTitlesAgentStep" });
+
+    return similarTitlesAgentRunnable;
+}
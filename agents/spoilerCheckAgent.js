@@ -0,0 +1,105 @@
+import {
+    ChatPromptTemplate,
+    HumanMessagePromptTemplate,
+    SystemMessagePromptTemplate,
+} from '@langchain/core/prompts';
+import { RunnableLambda } from "@langchain/core/runnables";
+import { spoilerCheckSchema } from './schemas.js';
+import { createStructuredOutputTool, StructuredOutputError, validationFailureFromError } from '../services/structuredOutput.js';
+import { TransientError } from '../services/llmResilience.js';
+import { logger } from '../services/logger.js';
+
+const SPOILER_FREE_TIERS = ['logline', 'synopsis'];
+
+// Phrases that usually introduce an outcome. Only used when the LLM check is not available.
+const ENDING_CUES = [
+    /\bin the end\b/i,
+    /\bultimately\b/i,
+    /\bturns out\b/i,
+    /\b(is|are|was|were) revealed\b/i,
+    /\brevealed to be\b/i,
+    /\b(the )?(final|last) (scene|shot|twist)\b/i,
+    /\bplot twist\b/i,
+    /\b(dies|killed|is killed|sacrifices (himself|herself|themselves))\b/i,
+    /\b(the|its|a|an) ((surprise|twist|shock|happy|tragic|bittersweet) )?ending\b/i,
+];
+
+const spoilerCheckPromptTemplate = ChatPromptTemplate.fromMessages([
+    SystemMessagePromptTemplate.fromTemplate(
+`You are a spoiler editor for a movie database.
+You get the full plot summary of a movie, including its ending, and two short texts that are meant to be spoiler-free: a logline and a synopsis.
+For each short text, decide whether it gives away the ending, a twist, or the fate of a main character, as described in the full summary.
+Describing the premise, the setup or the central conflict is not a spoiler.
+
+{format_instructions}`
+    ),
+    HumanMessagePromptTemplate.fromTemplate(
+        "Movie: {title} ({year})\nFull summary: {full}\nLogline: {logline}\nSynopsis: {synopsis}"
+    ),
+]);
+
+function findEndingCue(text) {
+    const match = ENDING_CUES.map(cue => String(text || '').match(cue)).find(Boolean);
+    return match ? match[0] : null;
+}
+
+function heuristicVerdicts(plotSummaries) {
+    return Object.fromEntries(SPOILER_FREE_TIERS.map(tier => {
+        const cue = findEndingCue(plotSummaries[tier]?.text);
+        return [tier, { revealsEnding: Boolean(cue), reason: cue ? `mentions "${cue}"` : '' }];
+    }));
+}
+
+// Verifies that the tiers meant to be spoiler-free do not reveal the ending. A flagged tier keeps its
+// text but is marked as containing spoilers, so renderers label it instead of presenting it as safe.
+export function createSpoilerCheckAgent(llm, { maxRetries } = {}) {
+    const spoilerCheckLlmTool = createStructuredOutputTool(spoilerCheckPromptTemplate, llm, spoilerCheckSchema, {
+        maxRetries,
+        name: "SpoilerCheck",
+    });
+
+    const spoilerCheckAgentRunnable = RunnableLambda.from(async (inputObject, config) => {
+        const { plotSummaries, movieDataFromOMDB } = inputObject;
+        if (!plotSummaries) return inputObject;
+
+        logger.info("\n[Agent: Spoiler Check]");
+        const validationFailures = [...(inputObject.validationFailures || [])];
+        let method = 'llm';
+        let verdicts;
+        try {
+            verdicts = await spoilerCheckLlmTool.invoke({
+                title: movieDataFromOMDB.title,
+                year: movieDataFromOMDB.year || 'N/A',
+                full: plotSummaries.full.text,
+                logline: plotSummaries.logline.text,
+                synopsis: plotSummaries.synopsis.text,
+            }, config);
+        } catch (error) {
+            if (!(error instanceof TransientError) && !(error instanceof StructuredOutputError)) throw error;
+            logger.warn(`  Spoiler check by LLM failed (${error.message}); falling back to keyword heuristics.`);
+            if (error instanceof StructuredOutputError) {
+                validationFailures.push(validationFailureFromError("spoilerCheck", error));
+            }
+            method = 'heuristic';
+            verdicts = heuristicVerdicts(plotSummaries);
+        }
+
+        const checkedSummaries = { ...plotSummaries };
+        for (const tier of SPOILER_FREE_TIERS) {
+            const { revealsEnding, reason } = verdicts[tier];
+            if (revealsEnding) {
+                logger.warn(`  The ${tier} of "${movieDataFromOMDB.title}" reveals the ending${reason ? ` (${reason})` : ''}; marking it as a spoiler.`);
+            }
+            checkedSummaries[tier] = {
+                ...plotSummaries[tier],
+                containsSpoilers: plotSummaries[tier].containsSpoilers || revealsEnding,
+                spoilerCheck: { method, revealsEnding, reason: reason || null },
+            };
+        }
+        logger.info(`  Spoiler check (${method}) done for "${movieDataFromOMDB.title}".`);
+
+        return { ...inputObject, plotSummaries: checkedSummaries, validationFailures };
+    }).withConfig({ runName: "SpoilerCheckAgentStep" });
+
+    return spoilerCheckAgentRunnable;
+}
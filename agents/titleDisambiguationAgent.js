@@ -0,0 +1,67 @@
+import readline from 'readline/promises';
+import { RunnableLambda } from "@langchain/core/runnables";
+import { logger } from '../services/logger.js';
+
+export const UNCERTAIN_TITLE_POLICIES = ['prompt', 'pick-first', 'fail'];
+
+function formatCandidate(candidate) {
+    return candidate.year ? `${candidate.title} (${candidate.year})` : candidate.title;
+}
+
+async function promptForCandidate(rawTitle, candidates) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        console.log(`\n  "${rawTitle}" could refer to several movies:`);
+        candidates.forEach((candidate, index) => console.log(`    ${index + 1}) ${formatCandidate(candidate)}`));
+        console.log(`    0) None of these`);
+
+        while (true) {
+            const answer = (await rl.question(`  Pick a movie [1-${candidates.length}, 0 to skip]: `)).trim();
+            const choice = Number(answer);
+            if (Number.isInteger(choice) && choice >= 0 && choice <= candidates.length) {
+                return choice === 0 ? null : candidates[choice - 1];
+            }
+            console.log(`  Please enter a number between 0 and ${candidates.length}.`);
+        }
+    } finally {
+        rl.close();
+    }
+}
+
+export function resolveUncertainTitlePolicy(requestedPolicy, { interactive = process.stdin.isTTY && process.stdout.isTTY } = {}) {
+    const policy = requestedPolicy || (interactive ? 'prompt' : 'fail');
+    if (!UNCERTAIN_TITLE_POLICIES.includes(policy)) {
+        throw new Error(`Unknown uncertain-title policy "${policy}". Expected one of: ${UNCERTAIN_TITLE_POLICIES.join(', ')}.`);
+    }
+    return policy;
+}
+
+export function createTitleDisambiguationAgent({ policy = 'fail', chooseCandidate = promptForCandidate } = {}) {
+    const titleDisambiguationRunnable = RunnableLambda.from(async (inputObject) => {
+        const candidates = inputObject.titleCandidates || [];
+        if (!inputObject.titleIsUncertain || candidates.length === 0 || policy === 'fail') {
+            return inputObject;
+        }
+
+        logger.info("\n[Agent: Title Disambiguation]");
+        const chosen = policy === 'pick-first'
+            ? candidates[0]
+            : await chooseCandidate(inputObject.raw_title, candidates);
+
+        if (!chosen) {
+            logger.info("  No candidate chosen; the title stays uncertain.");
+            return inputObject;
+        }
+
+        logger.info(`  Continuing with "${formatCandidate(chosen)}" (policy: ${policy})`);
+        return {
+            ...inputObject,
+            refinedTitle: chosen.title,
+            refinedYear: chosen.year,
+            titleIsUncertain: false,
+            disambiguatedBy: policy,
+        };
+    }).withConfig({ runName: "TitleDisambiguationStep" });
+
+    return titleDisambiguationRunnable;
+}
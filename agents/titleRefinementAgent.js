@@ -3,48 +3,81 @@ import {
     HumanMessagePromptTemplate,
     SystemMessagePromptTemplate,
 } from '@langchain/core/prompts';
-import { LLMChain } from 'langchain/chains';
 import { RunnableLambda } from "@langchain/core/runnables";
+import { refinedTitleSchema } from './schemas.js';
+import { createStructuredOutputTool, StructuredOutputError, validationFailureFromError } from '../services/structuredOutput.js';
+import { TransientError } from '../services/llmResilience.js';
+import { logger } from '../services/logger.js';
 
 const titleRefinementPromptTemplate = ChatPromptTemplate.fromMessages([
     SystemMessagePromptTemplate.fromTemplate(
         "You are an expert movie title refiner. Given a user's raw movie title, your goal is to return the most likely official movie title. " +
         "Correct common misspellings, understand context (like 'bollywood', 'hollywood', release year clues if any), and disambiguate. " +
-        "the name can also be reversed like pulp fiction van be written as fiction pulp"+
+        "the name can also be reversed like pulp fiction van be written as fiction pulp. "+
         "For example:\n" +
         "- 'uri bollywood' should become 'Uri: The Surgical Strike'\n" +
         "- 'inceptio' should become 'Inception'\n" +
         "If the input is already a clear and official-looking title, return it as is. " +
-        "If you are highly uncertain or the input is too vague (e.g., just 'action movie'), return ONLY the original input text, followed by ' (UNCERTAIN)'. " + // Modified for simpler parsing
-        "Your output should be JUST the refined title string (or original title + ' (UNCERTAIN)'). No other text."
+        "If the input contains or implies a release year, return it separately in \"year\" and leave it out of \"refinedTitle\". " +
+        "A number that is part of the official title is not a year: 'blade runner 2049' is 'Blade Runner 2049' (2017), '1917' is '1917' (2019). " +
+        "If the input matches several films (remakes, same-name films or sequels, e.g. 'Race' (2008) vs 'Race 2' (2013)) and nothing in it picks one, set \"isUncertain\" to true. " +
+        "If you are highly uncertain or the input is too vague (e.g., just 'action movie'), return the original input text as \"refinedTitle\" and set \"isUncertain\" to true. " +
+        "Always list the plausible movies in \"candidates\", most likely first, each with its release year so same-name films can be told apart.\n\n" +
+        "{format_instructions}"
     ),
-    HumanMessagePromptTemplate.fromTemplate("Raw movie title: {raw_title}\nRefined Title:"),
+    HumanMessagePromptTemplate.fromTemplate("Raw movie title: {raw_title}"),
 ]);
 
-export function createTitleRefinementAgent(llm) {
-    const titleRefinementLlmTool = new LLMChain({ 
-        llm: llm,
-        prompt: titleRefinementPromptTemplate,
-        outputKey: "refined_title_text",
+export function createTitleRefinementAgent(llm, { maxRetries } = {}) {
+    const titleRefinementLlmTool = createStructuredOutputTool(titleRefinementPromptTemplate, llm, refinedTitleSchema, {
+        maxRetries,
+        name: "TitleRefinement",
     });
 
-    const titleRefinementAgentRunnable = RunnableLambda.from(async (inputObject) => {
-        console.log("\n[Agent: Title Refinement]");
-        const result = await titleRefinementLlmTool.invoke({ raw_title: inputObject.raw_title });
-        let refinedTitle = result.refined_title_text ? result.refined_title_text.trim() : inputObject.raw_title;
+    const titleRefinementAgentRunnable = RunnableLambda.from(async (inputObject, config) => {
+        logger.info("\n[Agent: Title Refinement]");
+        const validationFailures = [...(inputObject.validationFailures || [])];
 
+        let refinedTitle = inputObject.raw_title;
+        let refinedYear = null;
         let isUncertain = false;
-        if (refinedTitle.endsWith(" (UNCERTAIN)")) {
-            refinedTitle = refinedTitle.replace(" (UNCERTAIN)", "").trim();
-            isUncertain = true;
-            console.log(`  LLM Refined Title (Uncertain): "${refinedTitle}"`);
+        let titleCandidates = [];
+        let transientFailure;
+        try {
+            const result = await titleRefinementLlmTool.invoke({ raw_title: inputObject.raw_title }, config);
+            refinedTitle = result.refinedTitle.trim();
+            refinedYear = result.year;
+            isUncertain = result.isUncertain;
+            titleCandidates = result.candidates;
+        } catch (error) {
+            if (error instanceof TransientError) {
+                logger.warn(`  Title refinement is temporarily unavailable: ${error.message}`);
+                transientFailure = { code: error.code, message: error.message, step: "titleRefinement" };
+            } else if (error instanceof StructuredOutputError) {
+                logger.warn(`  ${error.message}. Falling back to the raw title.`);
+                validationFailures.push(validationFailureFromError("titleRefinement", error));
+            } else {
+                throw error;
+            }
+        }
+
+        if (isUncertain) {
+            logger.info(`  LLM Refined Title (Uncertain): "${refinedTitle}" with ${titleCandidates.length} candidate(s)`);
         } else {
-            console.log(`  LLM Refined Title: "${refinedTitle}"`);
+            logger.info(`  LLM Refined Title: "${refinedTitle}"${refinedYear ? ` (${refinedYear})` : ''}`);
         }
 
-        console.log(`  Input Raw Title: "${inputObject.raw_title}"`);
-        return { ...inputObject, refinedTitle, titleIsUncertain: isUncertain };
+        logger.info(`  Input Raw Title: "${inputObject.raw_title}"`);
+        return {
+            ...inputObject,
+            refinedTitle,
+            refinedYear,
+            titleIsUncertain: isUncertain,
+            titleCandidates,
+            validationFailures,
+            ...(transientFailure ? { transientFailure } : {}),
+        };
     }).withConfig({ runName: "TitleRefinementAgentStep" });
 
     return titleRefinementAgentRunnable;
-}
\ No newline at end of file
+}
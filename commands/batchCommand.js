@@ -0,0 +1,206 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readTitleList, normalizeTitleKey } from '../services/titleListReader.js';
+import { languageFileSuffix } from '../renderers/labels.js';
+import { getRenderer, DEFAULT_FORMAT } from '../renderers/index.js';
+import { METADATA_DIRNAME } from '../agents/fileWriterAgent.js';
+import { fileExists } from '../utils.js';
+import { logger } from '../services/logger.js';
+
+const PROGRESS_FILENAME = '.batch_progress.jsonl';
+
+async function loadCompletedTitles(progressPath) {
+    const completed = new Map();
+    let text;
+    try {
+        text = await fs.readFile(progressPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return completed;
+        throw error;
+    }
+
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (entry.status === 'written' && entry.writtenFilePath && await fileExists(entry.writtenFilePath)) {
+                completed.set(entry.key, entry);
+            }
+        } catch {
+            // A line cut short by an interrupted run is ignored; the title is simply processed again.
+        }
+    }
+    return completed;
+}
+
+// Files written by any earlier run (single titles, serve, watch, other batches) record their raw
+// title, language and format in their metadata, so they count as done even without a journal line.
+async function loadWrittenFiles(outputDir, completed) {
+    const metadataDir = path.join(outputDir, METADATA_DIRNAME);
+    let names;
+    try {
+        names = (await fs.readdir(metadataDir)).filter(name => name.endsWith('.json'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return completed;
+        throw error;
+    }
+
+    for (const name of names) {
+        try {
+            const metadata = JSON.parse(await fs.readFile(path.join(metadataDir, name), 'utf8'));
+            const writtenFilePath = path.join(outputDir, metadata.file);
+            if (metadata.rawTitle && await fileExists(writtenFilePath)) {
+                completed.set(progressKey(metadata.rawTitle, metadata.language, metadata.format), { writtenFilePath });
+            }
+        } catch {
+            // Unreadable metadata only means the title is processed again.
+        }
+    }
+    return completed;
+}
+
+// Journal keys carry the language and format so each version of a title is tracked separately.
+export function progressKey(rawTitle, language, format = DEFAULT_FORMAT) {
+    return `${normalizeTitleKey(rawTitle)}${languageFileSuffix(language)}.${getRenderer(format).name}`;
+}
+
+function createRateLimiter(requestsPerMinute) {
+    if (!requestsPerMinute || requestsPerMinute <= 0) {
+        return async () => {};
+    }
+    const intervalMs = 60000 / requestsPerMinute;
+    let nextSlot = 0;
+
+    return async () => {
+        const now = Date.now();
+        const waitMs = Math.max(0, nextSlot - now);
+        nextSlot = Math.max(now, nextSlot) + intervalMs;
+        if (waitMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+    };
+}
+
+async function runWithConcurrency(items, concurrency, worker) {
+    let nextIndex = 0;
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+}
+
+function printSummary(summary) {
+    console.log("\nBatch Summary");
+    console.log("--------------------------------------");
+    console.log(`  Total titles:    ${summary.total}`);
+    console.log(`  Written:         ${summary.succeeded.length}`);
+    console.log(`  Skipped (done):  ${summary.skipped.length}`);
+    console.log(`  Not found:       ${summary.notFound.length}`);
+    console.log(`  Unavailable:     ${summary.unavailable.length}`);
+    console.log(`  Failed:          ${summary.failed.length}`);
+
+    if (summary.notFound.length > 0) {
+        console.log("\n  Not found:");
+        summary.notFound.forEach(entry => console.log(`    - ${entry.rawTitle}: ${entry.finalMessage}`));
+    }
+    if (summary.unavailable.length > 0) {
+        console.log("\n  Unavailable (transient errors; rerun the batch to retry them):");
+        summary.unavailable.forEach(entry => console.log(`    - ${entry.rawTitle}: ${entry.finalMessage}`));
+    }
+    if (summary.failed.length > 0) {
+        console.log("\n  Failed:");
+        summary.failed.forEach(entry => console.log(`    - ${entry.rawTitle}: ${entry.error}`));
+    }
+}
+
+export async function runBatchCommand(pipeline, {
+    input,
+    inputFormat,
+    outputDir,
+    language,
+    format = DEFAULT_FORMAT,
+    concurrency = 2,
+    rateLimit = 0,
+    resume = true,
+    summaryJson,
+}) {
+    const titles = await readTitleList(input, { format: inputFormat });
+    logger.info(`\n⚙️ Starting batch of ${titles.length} title(s) (concurrency: ${concurrency}, rate limit: ${rateLimit || 'none'}/min)`);
+
+    await fs.mkdir(outputDir, { recursive: true });
+    const progressPath = path.join(outputDir, PROGRESS_FILENAME);
+    const completedTitles = resume ? await loadWrittenFiles(outputDir, await loadCompletedTitles(progressPath)) : new Map();
+    const waitForRateLimit = createRateLimiter(rateLimit);
+
+    const summary = {
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        total: titles.length,
+        succeeded: [],
+        skipped: [],
+        notFound: [],
+        unavailable: [],
+        failed: [],
+    };
+
+    await runWithConcurrency(titles, concurrency, async (rawTitle, index) => {
+        const label = `[${index + 1}/${titles.length}] "${rawTitle}"`;
+
+        if (resume && completedTitles.has(progressKey(rawTitle, language, format))) {
+            logger.info(`\n${label} already written, skipping.`);
+            summary.skipped.push({ rawTitle });
+            return;
+        }
+
+        await waitForRateLimit();
+        logger.info(`\n${label} processing...`);
+
+        let entry;
+        try {
+            const result = await pipeline.invoke({ raw_title: rawTitle });
+            entry = {
+                rawTitle,
+                refinedTitle: result.refinedTitle,
+                status: result.status || 'unknown',
+                finalMessage: result.finalMessage,
+                writtenFilePath: result.writtenFilePath,
+                validationFailures: result.validationFailures,
+                traceId: result.traceId,
+            };
+        } catch (error) {
+            entry = {
+                rawTitle,
+                status: 'failed',
+                error: error.failedStep ? `${error.message} (in ${error.failedStep})` : error.message,
+                traceId: error.traceId,
+            };
+        }
+
+        if (entry.status === 'written') {
+            summary.succeeded.push(entry);
+        } else if (entry.status === 'not_found' || entry.status === 'uncertain') {
+            summary.notFound.push(entry);
+        } else if (entry.status === 'unavailable') {
+            summary.unavailable.push(entry);
+        } else {
+            summary.failed.push({ error: entry.finalMessage, ...entry });
+        }
+
+        const progressLine = { key: progressKey(rawTitle, language, format), ...entry, at: new Date().toISOString() };
+        await fs.appendFile(progressPath, JSON.stringify(progressLine) + '\n');
+    });
+
+    summary.finishedAt = new Date().toISOString();
+    printSummary(summary);
+
+    if (summaryJson) {
+        await fs.mkdir(path.dirname(path.resolve(summaryJson)), { recursive: true });
+        await fs.writeFile(summaryJson, JSON.stringify(summary, null, 2));
+        console.log(`\n  Summary written to: ${summaryJson}`);
+    }
+
+    return summary;
+}
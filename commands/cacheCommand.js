@@ -0,0 +1,49 @@
+import { normalizeTitleKey } from '../services/titleListReader.js';
+import { resolveMovieDataSource } from '../agents/movieDataAndThemeAgent.js';
+
+const CACHE_ACTIONS = ['list', 'show', 'clear'];
+
+async function listCache(cache) {
+    const { titles, movies, localizations } = await cache.list();
+    console.log(`\nCache file: ${cache.filePath} (TTL: ${Math.round(cache.ttlMs / 3600000)}h)`);
+
+    console.log(`\n  Refined titles (${titles.length}):`);
+    titles.forEach(entry => console.log(`    "${entry.rawTitle}" → "${entry.refinedTitle}"${entry.refinedYear ? ` (${entry.refinedYear})` : ''}  [${entry.storedAt}${entry.expired ? ', expired' : ''}]`));
+
+    console.log(`\n  Movie records (${movies.length}):`);
+    movies.forEach(entry => console.log(`    ${entry.title} (${entry.year}) from ${entry.dataSource}  [${entry.storedAt}${entry.expired ? ', expired' : ''}]`));
+
+    console.log(`\n  Translations (${localizations.length}):`);
+    localizations.forEach(entry => console.log(`    ${entry.refinedTitle}${entry.refinedYear ? ` (${entry.refinedYear})` : ''} → ${entry.language}  [${entry.storedAt}${entry.expired ? ', expired' : ''}]`));
+}
+
+async function showCacheEntry(cache, rawTitle, dataSource) {
+    if (!rawTitle) {
+        throw new Error('Usage: node main.js cache show "Movie Title"');
+    }
+    const refined = await cache.getRefinedTitle(rawTitle);
+    const lookupTitle = refined ? refined.refinedTitle : rawTitle;
+    const movie = await cache.getMovie(lookupTitle, refined?.refinedYear, dataSource);
+
+    console.log(JSON.stringify({
+        key: normalizeTitleKey(rawTitle),
+        refinedTitle: refined,
+        dataSource,
+        movie,
+    }, null, 2));
+}
+
+export async function runCacheCommand(cache, [action = 'list', ...args], { expiredOnly = false, dataSource } = {}) {
+    if (!CACHE_ACTIONS.includes(action)) {
+        throw new Error(`Unknown cache action "${action}". Expected one of: ${CACHE_ACTIONS.join(', ')}.`);
+    }
+
+    if (action === 'list') {
+        await listCache(cache);
+    } else if (action === 'show') {
+        await showCacheEntry(cache, args.join(' ').trim(), resolveMovieDataSource(dataSource));
+    } else {
+        const removed = await cache.clear({ expiredOnly });
+        console.log(`Removed ${removed} ${expiredOnly ? 'expired ' : ''}cache entr${removed === 1 ? 'y' : 'ies'} from ${cache.filePath}.`);
+    }
+}
@@ -0,0 +1,93 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { buildMovieRecord } from '../renderers/index.js';
+import { renderComparisonReport } from '../services/comparisonReport.js';
+import { sanitizeFilename } from '../utils.js';
+import { logger } from '../services/logger.js';
+
+export function splitComparisonTitles(args) {
+    if (args.some(arg => arg.toLowerCase() === 'vs')) {
+        return args.join(' ').split(/\s+vs\s+/i).map(title => title.trim()).filter(Boolean);
+    }
+    return args.map(title => title.trim()).filter(Boolean);
+}
+
+async function fetchMovieData(movieDataSequence, rawTitles) {
+    const results = await Promise.all(rawTitles.map(async rawTitle => {
+        try {
+            return await movieDataSequence.invoke({ raw_title: rawTitle });
+        } catch (error) {
+            return { raw_title: rawTitle, error };
+        }
+    }));
+
+    const found = [];
+    for (const result of results) {
+        if (result.error) {
+            logger.warn(`\n Could not fetch "${result.raw_title}": ${result.error.message}`);
+        } else if (result.titleIsUncertain || result.movieDataFromOMDB?.Response !== "True") {
+            logger.warn(`\n Could not find "${result.raw_title}": ${result.movieDataFromOMDB?.error || 'title is too uncertain'}`);
+        } else {
+            found.push(result);
+        }
+    }
+    return found;
+}
+
+export async function runCompareCommand(movieDataSequence, movieComparisonAgent, { titles, outputDir }) {
+    if (titles.length < 2) {
+        throw new Error('Usage: node main.js compare "First Movie" "Second Movie" [...] (or: compare pulp fiction vs inception)');
+    }
+    logger.info(`\n⚙️ Comparing ${titles.length} movies: ${titles.map(title => `"${title}"`).join(', ')}`);
+
+    const found = await fetchMovieData(movieDataSequence, titles);
+    if (found.length < 2) {
+        throw new Error(`At least two movies are needed for a comparison; only ${found.length} could be found.`);
+    }
+
+    const movieRecords = found.map(result => buildMovieRecord(result));
+    const { comparison } = await movieComparisonAgent.invoke({ movieRecords });
+    const report = renderComparisonReport(movieRecords, comparison);
+
+    const reportDir = path.join(outputDir, 'comparisons');
+    const reportPath = path.join(reportDir, sanitizeFilename(movieRecords.map(record => record.title).join(' vs ')) + '.md');
+    await fs.mkdir(reportDir, { recursive: true });
+    await fs.writeFile(reportPath, report);
+
+    console.log(`\n${report}`);
+    console.log(` Comparison report written to: ${reportPath}`);
+    return { reportPath, comparison, movieRecords };
+}
+
+export async function runSimilarCommand(movieDataSequence, similarTitlesAgent, pipeline, { title }) {
+    if (!title) {
+        throw new Error('Usage: node main.js similar "Movie Title" [--count N]');
+    }
+    logger.info(`\n⚙️ Finding movies similar to "${title}"`);
+
+    const [base] = await fetchMovieData(movieDataSequence, [title]);
+    if (!base) {
+        throw new Error(`Could not find "${title}", so no similar titles can be suggested.`);
+    }
+
+    const { similarTitles } = await similarTitlesAgent.invoke({ movieRecord: buildMovieRecord(base) });
+
+    const results = [];
+    for (const suggestion of similarTitles) {
+        const rawTitle = suggestion.year ? `${suggestion.title} ${suggestion.year}` : suggestion.title;
+        logger.info(`\n⚙️ Processing suggestion "${rawTitle}"`);
+        try {
+            const result = await pipeline.invoke({ raw_title: rawTitle });
+            results.push({ ...suggestion, status: result.status, finalMessage: result.finalMessage, writtenFilePath: result.writtenFilePath });
+        } catch (error) {
+            results.push({ ...suggestion, status: 'failed', finalMessage: error.message, writtenFilePath: null });
+        }
+    }
+
+    console.log(`\nMovies similar to "${base.movieDataFromOMDB.title}":`);
+    results.forEach((result, index) => {
+        console.log(`  ${index + 1}. ${result.title}${result.year ? ` (${result.year})` : ''} — ${result.reason}`);
+        console.log(`     ${result.writtenFilePath ? `Output File: ${result.writtenFilePath}` : `Status: ${result.status}: ${result.finalMessage}`}`);
+    });
+    return results;
+}
@@ -0,0 +1,143 @@
+import { createAgentLlms, resolveLlmConfig } from '../llm_config.js';
+import {
+    listEvalAgents,
+    loadEvalDataset,
+    runEvalSuite,
+    readBaseline,
+    writeBaseline,
+    compareWithBaseline,
+    ResponseRecorder,
+    saveRecordings,
+    DEFAULT_DATASETS_DIR,
+    DEFAULT_RECORDINGS_DIR,
+    DEFAULT_BASELINE_PATH,
+} from '../services/evalHarness.js';
+
+function formatPercent(ratio) {
+    return ratio === null || ratio === undefined ? 'n/a' : `${(ratio * 100).toFixed(1)}%`;
+}
+
+function formatValue(value) {
+    return Array.isArray(value) ? `[${value.join(', ')}]` : JSON.stringify(value);
+}
+
+function formatDelta(delta) {
+    return delta === null ? 'n/a' : `${delta >= 0 ? '+' : ''}${(delta * 100).toFixed(1)} pts`;
+}
+
+function printSummary(summary, comparison) {
+    const baselineNote = comparison
+        ? `  (baseline ${formatPercent(comparison.baselineAccuracy)}, ${formatDelta(comparison.accuracyDelta)})`
+        : '  (no baseline)';
+    console.log(`\n  ${summary.agent.padEnd(18)} ${`${summary.passed}/${summary.total}`.padStart(7)} passed  ${formatPercent(summary.accuracy).padStart(6)}${baselineNote}`);
+    const fields = Object.entries(summary.fields).map(([field, counts]) => `${field} ${counts.passed}/${counts.total}`);
+    console.log(`    Fields: ${fields.join(', ')}`);
+
+    for (const result of summary.cases.filter(caseResult => !caseResult.passed)) {
+        const marker = result.stale ? 'stale recording' : comparison?.regressions.includes(result.id) ? 'REGRESSION' : 'failed';
+        const details = result.error
+            ? `error: ${result.error}`
+            : result.checks.filter(item => !item.passed).map(item => `${item.field} expected ${formatValue(item.expected)}, got ${formatValue(item.actual)}`).join('; ');
+        console.log(`    ✗ ${result.id} (${marker}) ${formatValue(result.input)}: ${details}`);
+    }
+    if (comparison?.fixed.length > 0) {
+        console.log(`    ✓ Fixed since baseline: ${comparison.fixed.join(', ')}`);
+    }
+}
+
+// Runs the eval suites and compares them with the saved baseline. Returns the report; callers fail
+// the run when report.regressions or report.staleRecordings is non-empty.
+export async function runEvalCommand({
+    agents = listEvalAgents(),
+    live = false,
+    record = false,
+    updateBaseline = false,
+    json = false,
+    llmOverrides = {},
+    maxRetries,
+    datasetsDir = DEFAULT_DATASETS_DIR,
+    recordingsDir = DEFAULT_RECORDINGS_DIR,
+    baselinePath = DEFAULT_BASELINE_PATH,
+} = {}) {
+    const unknown = agents.find(agentName => !listEvalAgents().includes(agentName));
+    if (unknown) {
+        throw new Error(`No eval suite for agent "${unknown}". Expected one of: ${listEvalAgents().join(', ')}.`);
+    }
+    if (record && !live) {
+        throw new Error('--record needs --live: recordings are captured from a live model.');
+    }
+
+    // Replay mode pins every evaluated agent to the replay model, whatever the environment configures.
+    const overrides = live
+        ? llmOverrides
+        : { fixturesPath: recordingsDir, maxAttempts: 1, agents: Object.fromEntries(agents.map(agentName => [agentName, { provider: 'fake' }])) };
+    const llms = createAgentLlms(overrides, agents);
+
+    const report = {
+        createdAt: new Date().toISOString(),
+        mode: live ? 'live' : 'replay',
+        models: Object.fromEntries(agents.map(agentName => {
+            const { provider, model } = resolveLlmConfig(agentName, overrides);
+            return [agentName, `${provider}/${model}`];
+        })),
+        agents: {},
+    };
+
+    for (const agentName of agents) {
+        const cases = await loadEvalDataset(agentName, { datasetsDir });
+        const recorder = record ? new ResponseRecorder(agentName) : null;
+        report.agents[agentName] = await runEvalSuite(agentName, llms[agentName], cases, {
+            maxRetries,
+            callbacks: recorder ? [recorder] : [],
+        });
+        if (recorder) {
+            const filePath = await saveRecordings(agentName, recorder.toFixtureEntries(), { recordingsDir });
+            if (!json) console.log(`  Recorded ${agentName} responses to ${filePath}`);
+        }
+    }
+
+    const baseline = await readBaseline(baselinePath);
+    const comparison = compareWithBaseline(report, baseline);
+    report.baseline = baseline ? { path: baselinePath, createdAt: baseline.createdAt, mode: baseline.mode } : null;
+    report.comparison = comparison;
+    report.regressions = Object.entries(comparison).flatMap(([agentName, agentComparison]) =>
+        (agentComparison?.regressions || []).map(id => ({ agent: agentName, id })));
+    report.staleRecordings = Object.entries(report.agents).flatMap(([agentName, summary]) =>
+        summary.stale.map(id => ({ agent: agentName, id })));
+
+    if (updateBaseline) {
+        await writeBaseline(report, baselinePath);
+    }
+
+    if (json) {
+        console.log(JSON.stringify(report, null, 2));
+        return report;
+    }
+
+    console.log(`\nEval run (${report.mode}${live ? '' : `, recordings: ${recordingsDir}`})`);
+    console.log("--------------------------------------");
+    if (baseline) {
+        console.log(`  Baseline: ${baselinePath} (${baseline.mode}, ${baseline.createdAt})`);
+        if (baseline.mode !== report.mode) {
+            console.log(`  Note: the baseline was taken in ${baseline.mode} mode; differences may come from the model, not the prompts.`);
+        }
+    } else {
+        console.log(`  Baseline: none at ${baselinePath} (run with --update-baseline to save one)`);
+    }
+    agents.forEach(agentName => printSummary(report.agents[agentName], comparison[agentName]));
+
+    console.log(report.regressions.length > 0
+        ? `\n  ${report.regressions.length} regression(s) against the baseline.`
+        : '\n  No regressions against the baseline.');
+    if (report.staleRecordings.length > 0) {
+        console.log(`  ${report.staleRecordings.length} recording(s) were made for an earlier version of the prompt; record them again with --live --record.`);
+    }
+    if (updateBaseline) {
+        console.log(`  Baseline updated: ${baselinePath}`);
+        const failing = Object.values(report.agents).reduce((count, summary) => count + summary.total - summary.passed, 0);
+        if (failing > 0) {
+            console.log(`  Warning: ${failing} failing case(s) were saved in the baseline and will not be reported as regressions.`);
+        }
+    }
+    return report;
+}
@@ -0,0 +1,33 @@
+import { loadLibrary, queryLibrary } from '../services/movieLibrary.js';
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function printResults(records) {
+    if (records.length === 0) {
+        console.log("\nNo movies in the library match the query.");
+        return;
+    }
+
+    console.log(`\n${records.length} movie(s) found:\n`);
+    for (const record of records) {
+        const rating = record.imdbRating !== null ? record.imdbRating.toFixed(1) : 'N/A';
+        console.log(`  ${record.title} (${record.year || 'N/A'})  ★ ${rating}`);
+        console.log(`    Genre(s): ${record.genre.join(', ') || 'N/A'}`);
+        console.log(`    Main Cast: ${truncate(record.mainCast.join(', ') || 'N/A', 80)}`);
+        console.log(`    File: ${record.file}`);
+    }
+}
+
+export async function runQueryCommand(outputDir, { filters, json = false, rebuild = false }) {
+    const records = await loadLibrary(outputDir, { rebuild });
+    const results = queryLibrary(records, filters);
+
+    if (json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        printResults(results);
+    }
+    return results;
+}
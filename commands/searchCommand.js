@@ -0,0 +1,35 @@
+import { loadLibrary } from '../services/movieLibrary.js';
+
+function printResults(query, results, librarySize) {
+    if (librarySize === 0) {
+        console.log(`\nNo movies in the library to search for "${query}".`);
+        return;
+    }
+    if (results.length === 0) {
+        console.log(`\nNo matches for "${query}" among ${librarySize} movie(s).`);
+        return;
+    }
+
+    console.log(`\nTop ${results.length} match(es) for "${query}":\n`);
+    results.forEach(({ record, score }, index) => {
+        console.log(`  ${index + 1}. ${record.title} (${record.year || 'N/A'})  score ${score.toFixed(3)}`);
+        if (record.theme) console.log(`     Theme: ${record.theme}`);
+        console.log(`     File: ${record.file}`);
+    });
+}
+
+export async function runSearchCommand(vectorIndex, outputDir, { query, topK = 5, json = false, rebuild = false }) {
+    if (!query) {
+        throw new Error('Please provide a search query, e.g. search "guilt and redemption".');
+    }
+
+    const records = await loadLibrary(outputDir, { rebuild });
+    const results = await vectorIndex.search(query, records, { topK, rebuild });
+
+    if (json) {
+        console.log(JSON.stringify(results.map(({ record, score }) => ({ ...record, score })), null, 2));
+    } else {
+        printResults(query, results, records.length);
+    }
+    return results;
+}
@@ -0,0 +1,23 @@
+import { createMovieServer } from '../server/httpServer.js';
+
+export async function runServeCommand(getPipeline, { outputDir, port = 3000, host = '127.0.0.1', concurrency = 2, summaryTiers }) {
+    const server = createMovieServer({ getPipeline, outputDir, concurrency, summaryTiers });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    const address = server.address();
+    console.log(`\n🎬 Movie pipeline API listening on http://${address.address}:${address.port}`);
+    console.log("   POST /movies  GET /movies  GET /movies/:id  GET /movies/:id/events");
+
+    await new Promise(resolve => {
+        const shutdown = () => {
+            console.log("\nShutting down movie pipeline API...");
+            server.close(resolve);
+            server.closeAllConnections();
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+    });
+}
@@ -0,0 +1,68 @@
+const TRACE_ACTIONS = ['list', 'show'];
+
+function formatDuration(ms) {
+    return ms === null || ms === undefined ? 'n/a' : ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms} ms`;
+}
+
+function formatCost(costUsd) {
+    return costUsd === null || costUsd === undefined ? 'n/a' : `$${costUsd.toFixed(6)}`;
+}
+
+async function listTraces(traceStore, limit) {
+    const traces = (await traceStore.list()).slice(-limit);
+    console.log(`\nTrace file: ${traceStore.filePath} (${traces.length} most recent run(s))\n`);
+    traces.forEach(trace => {
+        console.log(`  ${trace.traceId.slice(0, 8)}  ${trace.startedAt}  ${trace.status.padEnd(12)} ${formatDuration(trace.durationMs).padStart(9)}  "${trace.rawTitle ?? 'n/a'}"`);
+    });
+}
+
+function printTrace(trace) {
+    const { totals } = trace;
+    console.log(`\nTrace ${trace.traceId}`);
+    console.log("--------------------------------------");
+    console.log(`  Title:      "${trace.rawTitle ?? 'n/a'}"`);
+    console.log(`  Started:    ${trace.startedAt}`);
+    console.log(`  Duration:   ${formatDuration(trace.durationMs)}`);
+    console.log(`  Status:     ${trace.status}${trace.failedStep ? ` (failed in ${trace.failedStep})` : ''}`);
+    if (trace.branch) console.log(`  Branch:     ${trace.branch.runName} (${trace.branch.tag})`);
+    if (trace.error) console.log(`  Error:      ${trace.error}`);
+    if (trace.finalMessage) console.log(`  Message:    ${trace.finalMessage}`);
+
+    console.log(`\n  Steps (${trace.steps.length}):`);
+    trace.steps.forEach(step => {
+        console.log(`    ${step.runName.padEnd(40)} ${formatDuration(step.durationMs).padStart(9)}  ${step.status}${step.error ? `: ${step.error}` : ''}`);
+    });
+
+    console.log(`\n  LLM calls (${trace.llmCalls.length}):`);
+    trace.llmCalls.forEach(call => {
+        const label = `${call.structuredOutput || 'llm'}${call.attempt > 1 ? ` retry #${call.attempt - 1}` : ''}${call.transportAttempt > 1 ? ` try ${call.transportAttempt}` : ''}`;
+        const tokens = `${call.promptTokens ?? '?'} in / ${call.completionTokens ?? '?'} out${call.estimated ? ' (est.)' : ''}`;
+        console.log(`    ${label.padEnd(28)} ${String(call.model).padEnd(24)} ${formatDuration(call.durationMs).padStart(9)}  ${tokens}  ${formatCost(call.costUsd)}${call.error ? `  error: ${call.error}` : ''}`);
+    });
+
+    console.log(`\n  Totals: ${totals.llmCalls} LLM call(s), ${totals.retries} retr${totals.retries === 1 ? 'y' : 'ies'}, ` +
+                `${totals.promptTokens} prompt + ${totals.completionTokens} completion tokens${totals.estimatedTokens ? ' (partly estimated)' : ''}, ` +
+                `cost ${formatCost(totals.costUsd)}`);
+}
+
+export async function runTraceCommand(traceStore, [action = 'show', ...args], { json = false, limit = 20 } = {}) {
+    if (!TRACE_ACTIONS.includes(action)) {
+        throw new Error(`Unknown trace action "${action}". Expected one of: ${TRACE_ACTIONS.join(', ')}.`);
+    }
+
+    if (action === 'list') {
+        await listTraces(traceStore, limit);
+        return;
+    }
+
+    const traceId = args.join(' ').trim() || 'last';
+    const trace = await traceStore.get(traceId);
+    if (!trace) {
+        throw new Error(traceId === 'last' ? `No traces recorded yet in ${traceStore.filePath}.` : `No trace matching "${traceId}".`);
+    }
+    if (json) {
+        console.log(JSON.stringify(trace, null, 2));
+    } else {
+        printTrace(trace);
+    }
+}
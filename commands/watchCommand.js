@@ -0,0 +1,142 @@
+import { createInboxQueue, parseRequestFile, DEFAULT_INBOX_DIR } from '../services/inboxQueue.js';
+import { parseMovieRequest, pipelineOptionsForRequest } from '../services/movieRequest.js';
+import { logger } from '../services/logger.js';
+import { sleep } from '../utils.js';
+
+const STATUS_ICONS = { written: '✓', not_found: '?', uncertain: '?', unavailable: '…' };
+
+// Stopping ends the wait early; the loops then see the aborted signal and return.
+function pause(ms, signal) {
+    return sleep(ms, signal).catch(() => {});
+}
+
+async function processItem(getPipeline, item) {
+    const startedAt = new Date().toISOString();
+    let request = null;
+    try {
+        request = parseMovieRequest(parseRequestFile(item.id, item.text));
+        const result = await getPipeline(pipelineOptionsForRequest(request)).invoke({ raw_title: request.title });
+        return {
+            id: item.id,
+            request,
+            status: result.status || 'failed',
+            finalMessage: result.finalMessage ?? null,
+            refinedTitle: result.refinedTitle ?? null,
+            writtenFilePath: result.writtenFilePath ?? null,
+            validationFailures: result.validationFailures || [],
+            traceId: result.traceId ?? null,
+            // Unavailable means the LLM or OMDb was down; dropping the file back into the inbox retries it.
+            retryable: result.status === 'unavailable',
+            error: null,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+        };
+    } catch (error) {
+        return {
+            id: item.id,
+            request,
+            status: 'failed',
+            finalMessage: request
+                ? `Pipeline failed for "${request.title}": ${error.message}`
+                : `Could not read request "${item.id}": ${error.message}`,
+            refinedTitle: null,
+            writtenFilePath: null,
+            validationFailures: [],
+            traceId: error.traceId ?? null,
+            retryable: false,
+            error: { message: error.message, details: error.details ?? null, failedStep: error.failedStep ?? null },
+            startedAt,
+            finishedAt: new Date().toISOString(),
+        };
+    }
+}
+
+// Long-running worker: pulls new lines from the queue file into the inbox, claims inbox files and
+// runs each through the pipeline. On SIGINT/SIGTERM it stops claiming and lets running items
+// finish; a second signal exits at once, and the interrupted items are picked up on the next start.
+// With `once` it processes what is there and returns.
+export async function runWatchCommand(getPipeline, {
+    inboxDir = DEFAULT_INBOX_DIR,
+    queueFile,
+    concurrency = 1,
+    pollIntervalMs = 1000,
+    once = false,
+} = {}) {
+    const queue = createInboxQueue({ inboxDir, queueFile });
+    await queue.init();
+
+    const stats = { processed: 0, written: 0, failed: 0 };
+    const controller = new AbortController();
+    let signalCount = 0;
+    const shutdown = () => {
+        signalCount++;
+        if (signalCount > 1) {
+            console.log('\nForced exit; unfinished items stay in processing/ and are retried on the next start.');
+            process.exit(130);
+        }
+        console.log('\nStopping watch mode after the running items finish (press Ctrl+C again to exit now)...');
+        controller.abort();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    const pending = await queue.recover();
+    if (pending.length > 0) {
+        logger.info(`  [Inbox] Retrying ${pending.length} item(s) interrupted by an earlier run.`);
+    }
+
+    async function worker() {
+        while (!controller.signal.aborted) {
+            const item = pending.shift() || await queue.claimNext();
+            if (!item) {
+                if (once) return;
+                await pause(pollIntervalMs, controller.signal);
+                continue;
+            }
+
+            const result = await processItem(getPipeline, item);
+            let finalPath;
+            try {
+                finalPath = await queue.complete(item, result);
+            } catch (error) {
+                // The item stays in processing/ and is finished (or run again) on the next start.
+                logger.error(`  [Inbox] Could not record the result of "${item.id}": ${error.message}`);
+                finalPath = item.filePath;
+            }
+            stats.processed++;
+            if (result.status === 'written') stats.written++; else stats.failed++;
+            console.log(` ${STATUS_ICONS[result.status] || '✗'} ${item.id} [${result.status}] ${result.finalMessage ?? ''} -> ${finalPath}`);
+        }
+    }
+
+    async function pollQueueFile() {
+        while (!controller.signal.aborted) {
+            try {
+                const queued = await queue.pullQueueFile();
+                if (queued > 0) logger.info(`  [Inbox] Queued ${queued} request(s) from ${queueFile}.`);
+            } catch (error) {
+                logger.error(`  [Inbox] Could not read queue file "${queueFile}": ${error.message}`);
+            }
+            if (once) return;
+            await pause(pollIntervalMs, controller.signal);
+        }
+    }
+
+    console.log(`\n📥 Watching ${inboxDir}${queueFile ? ` and queue file ${queueFile}` : ''}${once ? ' (single pass)' : ''}`);
+    try {
+        if (queueFile) {
+            // Fill the inbox first so a single pass also covers the queued lines.
+            await queue.pullQueueFile();
+        }
+        await Promise.all([
+            ...(queueFile && !once ? [pollQueueFile()] : []),
+            ...Array.from({ length: concurrency }, worker),
+        ]);
+    } finally {
+        process.off('SIGINT', shutdown);
+        process.off('SIGTERM', shutdown);
+    }
+
+    console.log(`\nWatch mode stopped: ${stats.processed} processed, ${stats.written} written, ${stats.failed} not written.`);
+    return stats;
+}
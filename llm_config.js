@@ -1,15 +1,114 @@
 import 'dotenv/config';
 import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import { ChatOpenAI } from '@langchain/openai';
+import { FakeReplayChatModel } from './services/fakeChatModel.js';
+import { createResilientLlm, getCircuitBreaker, DEFAULT_LLM_RETRY_OPTIONS } from './services/llmResilience.js';
 
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+export const AGENT_NAMES = ['titleRefinement', 'movieData', 'fileWriter', 'comparison', 'similarTitles', 'localization', 'spoilerCheck'];
 
-if (!GOOGLE_API_KEY) {
-    console.error('Error: GOOGLE_API_KEY is not set in your .env file.');
-    process.exit(1);
+const DEFAULT_MODELS = {
+    gemini: 'gemini-1.5-flash-latest',
+    openai: 'gpt-4o-mini',
+    fake: 'fake-replay',
+};
+
+const DEFAULT_FIXTURES_PATH = 'fixtures/llm';
+
+function createGeminiModel({ model, temperature }) {
+    const apiKey = process.env.GOOGLE_API_KEY;
+    if (!apiKey) {
+        throw new Error('GOOGLE_API_KEY is not set in your .env file (required by the "gemini" LLM provider).');
+    }
+    // Retries are handled by the resilience wrapper in createChatModel, not by the SDK.
+    return new ChatGoogleGenerativeAI({ apiKey, model, temperature, maxRetries: 0 });
+}
+
+function createOpenAiCompatibleModel({ model, temperature, timeoutMs }) {
+    return new ChatOpenAI({
+        model,
+        temperature,
+        timeout: timeoutMs,
+        maxRetries: 0,
+        // Local servers such as llama.cpp or Ollama accept any key.
+        apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+        configuration: process.env.OPENAI_BASE_URL ? { baseURL: process.env.OPENAI_BASE_URL } : undefined,
+    });
+}
+
+function createFakeModel({ model, agentName, fixturesPath }) {
+    return new FakeReplayChatModel({
+        model,
+        agentName,
+        fixturesPath: fixturesPath || process.env.LLM_FIXTURES || DEFAULT_FIXTURES_PATH,
+    });
+}
+
+const providers = new Map([
+    ['gemini', createGeminiModel],
+    ['openai', createOpenAiCompatibleModel],
+    ['fake', createFakeModel],
+]);
+
+export function registerLlmProvider(name, factory) {
+    providers.set(name, factory);
+}
+
+export function listLlmProviders() {
+    return [...providers.keys()];
 }
 
-export const llm = new ChatGoogleGenerativeAI({
-    apiKey: GOOGLE_API_KEY,
-    model: 'gemini-1.5-flash-latest', 
-    temperature: 0.1,
-});
\ No newline at end of file
+function agentEnvPrefix(agentName) {
+    return 'LLM_' + agentName.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function readNumber(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const parsed = Number(value);
+    if (Number.isNaN(parsed)) {
+        throw new Error(`${name} must be a number (got "${value}").`);
+    }
+    return parsed;
+}
+
+export function resolveLlmConfig(agentName, overrides = {}) {
+    const prefix = agentEnvPrefix(agentName);
+    const agentOverrides = overrides.agents?.[agentName] || {};
+    const env = process.env;
+
+    const provider = agentOverrides.provider || env[`${prefix}_PROVIDER`] || overrides.provider || env.LLM_PROVIDER || 'gemini';
+    const model = agentOverrides.model || env[`${prefix}_MODEL`] || overrides.model || env.LLM_MODEL || DEFAULT_MODELS[provider];
+    const temperature = agentOverrides.temperature
+        ?? readNumber(env[`${prefix}_TEMPERATURE`], `${prefix}_TEMPERATURE`)
+        ?? overrides.temperature
+        ?? readNumber(env.LLM_TEMPERATURE, 'LLM_TEMPERATURE')
+        ?? 0.1;
+    const timeoutMs = agentOverrides.timeoutMs
+        ?? readNumber(env[`${prefix}_TIMEOUT_MS`], `${prefix}_TIMEOUT_MS`)
+        ?? overrides.timeoutMs
+        ?? readNumber(env.LLM_TIMEOUT_MS, 'LLM_TIMEOUT_MS')
+        ?? 60000;
+    const maxAttempts = agentOverrides.maxAttempts
+        ?? readNumber(env[`${prefix}_MAX_ATTEMPTS`], `${prefix}_MAX_ATTEMPTS`)
+        ?? overrides.maxAttempts
+        ?? DEFAULT_LLM_RETRY_OPTIONS.maxAttempts;
+
+    return { agentName, provider, model, temperature, timeoutMs, maxAttempts, fixturesPath: overrides.fixturesPath };
+}
+
+export function createChatModel(agentName, overrides = {}) {
+    const config = resolveLlmConfig(agentName, overrides);
+    const factory = providers.get(config.provider);
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${config.provider}". Available providers: ${listLlmProviders().join(', ')}.`);
+    }
+    return createResilientLlm(factory(config), {
+        name: `${config.provider}/${config.model}`,
+        timeoutMs: config.timeoutMs,
+        maxAttempts: Math.max(1, config.maxAttempts),
+        circuitBreaker: getCircuitBreaker(config.provider),
+    });
+}
+
+export function createAgentLlms(overrides = {}, agentNames = AGENT_NAMES) {
+    return Object.fromEntries(agentNames.map(agentName => [agentName, createChatModel(agentName, overrides)]));
+}
@@ -1,98 +1,459 @@
 import 'dotenv/config';
-import { RunnableSequence, RunnableBranch, RunnableLambda } from "@langchain/core/runnables";
-import { llm } from './llm_config.js';
-import { createTitleRefinementAgent } from './agents/titleRefinementAgent.js';
-import { createMovieDataAndThemeAgent } from './agents/movieDataAndThemeAgent.js';
-import { createFileWriterAgent } from './agents/fileWriterAgent.js';
+import { parseArgs } from 'util';
+import { createAgentLlms, AGENT_NAMES, listLlmProviders } from './llm_config.js';
+import { createMoviePipeline, createMovieDataSequence, DEFAULT_OUTPUT_DIR } from './pipeline.js';
+import { runBatchCommand } from './commands/batchCommand.js';
+import { runCacheCommand } from './commands/cacheCommand.js';
+import { runServeCommand } from './commands/serveCommand.js';
+import { runCompareCommand, runSimilarCommand, splitComparisonTitles } from './commands/compareCommand.js';
+import { resolveOnExistsPolicy, ON_EXISTS_POLICIES } from './agents/fileWriterAgent.js';
+import { createMovieComparisonAgent } from './agents/movieComparisonAgent.js';
+import { createSimilarTitlesAgent } from './agents/similarTitlesAgent.js';
+import { runQueryCommand } from './commands/queryCommand.js';
+import { runSearchCommand } from './commands/searchCommand.js';
+import { runTraceCommand } from './commands/traceCommand.js';
+import { runEvalCommand } from './commands/evalCommand.js';
+import { runWatchCommand } from './commands/watchCommand.js';
+import { createMovieCache, DEFAULT_CACHE_PATH } from './services/movieCache.js';
+import { createEmbeddings, listEmbeddingsProviders } from './services/embeddings.js';
+import { createVectorIndex } from './services/vectorIndex.js';
+import { resolveUncertainTitlePolicy } from './agents/titleDisambiguationAgent.js';
+import { DEFAULT_FORMAT, listRendererNames, resolveSummaryTiers, SUMMARY_TIERS } from './renderers/index.js';
+import { resolveLanguage, listLanguages, DEFAULT_LANGUAGE } from './renderers/labels.js';
+import { createTraceStore, withRunTracing, DEFAULT_TRACE_PATH } from './services/runTracer.js';
+import { listEvalAgents } from './services/evalHarness.js';
+import { DEFAULT_INBOX_DIR } from './services/inboxQueue.js';
+import { logger, setLogLevel } from './services/logger.js';
 
-const OMDB_API_KEY_CHECK = process.env.OMDB_API_KEY;
-const OUTPUT_DIR = 'movie_details';
+const CLI_OPTIONS = {
+    'data-source': { type: 'string' },
+    'provider': { type: 'string' },
+    'model': { type: 'string', multiple: true },
+    'format': { type: 'string', short: 'f', default: DEFAULT_FORMAT },
+    'lang': { type: 'string' },
+    'summary-tiers': { type: 'string' },
+    'output-dir': { type: 'string', default: DEFAULT_OUTPUT_DIR },
+    'on-exists': { type: 'string' },
+    'validation-retries': { type: 'string' },
+    'input': { type: 'string', short: 'i' },
+    'input-format': { type: 'string' },
+    'concurrency': { type: 'string', default: '2' },
+    'rate-limit': { type: 'string', default: '0' },
+    'no-resume': { type: 'boolean', default: false },
+    'summary-json': { type: 'string' },
+    'no-cache': { type: 'boolean', default: false },
+    'refresh': { type: 'boolean', default: false },
+    'cache-path': { type: 'string', default: DEFAULT_CACHE_PATH },
+    'cache-ttl': { type: 'string' },
+    'expired': { type: 'boolean', default: false },
+    'pick-first': { type: 'boolean', default: false },
+    'fail-on-uncertain': { type: 'boolean', default: false },
+    'port': { type: 'string', default: '3000' },
+    'host': { type: 'string', default: '127.0.0.1' },
+    'count': { type: 'string', default: '5' },
+    'genre': { type: 'string' },
+    'cast': { type: 'string' },
+    'title': { type: 'string' },
+    'year-from': { type: 'string' },
+    'year-to': { type: 'string' },
+    'min-rating': { type: 'string' },
+    'sort': { type: 'string', default: 'title' },
+    'desc': { type: 'boolean', default: false },
+    'limit': { type: 'string' },
+    'json': { type: 'boolean', default: false },
+    'rebuild-index': { type: 'boolean', default: false },
+    'top-k': { type: 'string', default: '5' },
+    'embeddings': { type: 'string' },
+    'embeddings-model': { type: 'string' },
+    'verbose': { type: 'boolean', short: 'v', default: false },
+    'quiet': { type: 'boolean', short: 'q', default: false },
+    'trace-path': { type: 'string', default: DEFAULT_TRACE_PATH },
+    'no-trace': { type: 'boolean', default: false },
+    'agent': { type: 'string', multiple: true },
+    'live': { type: 'boolean', default: false },
+    'record': { type: 'boolean', default: false },
+    'update-baseline': { type: 'boolean', default: false },
+    'inbox': { type: 'string', default: DEFAULT_INBOX_DIR },
+    'queue': { type: 'string' },
+    'poll-interval': { type: 'string', default: '1000' },
+    'once': { type: 'boolean', default: false },
+};
 
-if (!OMDB_API_KEY_CHECK) {
-    console.warn('Warning: OMDB_API_KEY is not set in your .env file. The OMDB simulation prompt might be less effective.');
-}
+const USAGE = `Usage:
+  node main.js "Your Movie Title" [--data-source omdb|llm] [--format ${listRendererNames().join('|')}] [--lang ${listLanguages().join('|')}]
+                                  [--summary-tiers ${SUMMARY_TIERS.join(',')}] [--on-exists ${ON_EXISTS_POLICIES.join('|')}] [--validation-retries N]
+                                  [--provider ${listLlmProviders().join('|')}] [--model name | --model agent=name]
+  node main.js batch [file|-] [--input-format txt|csv|jsonl] [--concurrency N] [--rate-limit N]
+                     [--no-resume] [--summary-json path]
+  node main.js cache list|show "Title"|clear [--expired]
+  node main.js serve [--port 3000] [--host 127.0.0.1] [--concurrency N]
+  node main.js watch [--inbox dir] [--queue file.jsonl] [--concurrency N] [--poll-interval ms] [--once]
+  node main.js compare "First Movie" "Second Movie" [...]   (or: compare pulp fiction vs inception)
+  node main.js similar "Movie Title" [--count 1-10]
+  node main.js query [--genre a,b] [--cast name] [--title text] [--lang code] [--year-from Y] [--year-to Y] [--min-rating R]
+                     [--sort title|year|rating] [--desc] [--limit N] [--json] [--rebuild-index]
+  node main.js search "guilt and redemption" [--top-k N] [--json] [--rebuild-index]
+  node main.js trace show [id|last] [--json] | trace list [--limit N]
+  node main.js eval [--agent ${listEvalAgents().join('|')}] [--live [--record]] [--update-baseline] [--json]
 
-async function processMoviePipeline(rawUserMovieTitle) {
-    if (!rawUserMovieTitle || rawUserMovieTitle.trim() === "") {
-        console.error('Error: Please provide a movie name.');
-        console.log('Usage: node main.js "Your Movie Title"');
-        return;
+Logging and tracing: [--verbose | --quiet] [--trace-path path] [--no-trace]
+Cache options: [--no-cache] [--refresh] [--cache-path path] [--cache-ttl hours]
+Uncertain titles: prompt in a terminal, otherwise [--pick-first | --fail-on-uncertain] (default: fail)
+Embeddings: [--embeddings ${listEmbeddingsProviders().join('|')}] [--embeddings-model name] (default: hashing, offline: hashed word counts, no IDF weighting)`;
+
+function parsePositiveInteger(value, optionName) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new Error(`--${optionName} must be a non-negative integer (got "${value}").`);
     }
-    console.log(`\n⚙️ Starting Movie Processing Pipeline for: "${rawUserMovieTitle}"`);
+    return parsed;
+}
 
-    const titleRefinementAgent = createTitleRefinementAgent(llm);
-    const movieDataAndThemeAgent = createMovieDataAndThemeAgent(llm);
-    const fileWriterAgent = createFileWriterAgent(llm, OUTPUT_DIR);
+function buildLlmOverrides(values) {
+    const overrides = { provider: values.provider, agents: {} };
+    for (const modelOption of values.model || []) {
+        const [agentName, modelName] = modelOption.includes('=') ? modelOption.split('=', 2) : [null, modelOption];
+        if (agentName === null) {
+            overrides.model = modelName;
+        } else if (AGENT_NAMES.includes(agentName)) {
+            overrides.agents[agentName] = { ...overrides.agents[agentName], model: modelName };
+        } else {
+            throw new Error(`Unknown agent "${agentName}" in --model. Expected one of: ${AGENT_NAMES.join(', ')}.`);
+        }
+    }
+    return overrides;
+}
 
-    const handleMovieNotFoundOrUncertain = RunnableLambda.from(async (input) => {
-        const titleForMessage = input.movieDataFromOMDB?.title || input.refinedTitle || input.raw_title || "the provided movie";
-        let reason = "The movie data/theme agent indicated the movie was not found or an error occurred.";
+function requestedEmbeddingsProvider(values) {
+    const provider = values.embeddings || process.env.EMBEDDINGS_PROVIDER || 'hashing';
+    if (!listEmbeddingsProviders().includes(provider)) {
+        throw new Error(`Unknown embeddings provider "${provider}". Available providers: ${listEmbeddingsProviders().join(', ')}.`);
+    }
+    return provider;
+}
 
-        if (input.titleIsUncertain) {
-            reason = `The initial movie title ("${input.raw_title}") was too uncertain for reliable processing. Refined attempt: "${input.refinedTitle}".`;
-        } else if (input.movieDataFromOMDB && input.movieDataFromOMDB.Error) {
-            reason = `Reason from data/theme agent for "${titleForMessage}": ${input.movieDataFromOMDB.Error}`;
-        } else if (input.movieDataFromOMDB?.Response === "False"){
-             reason = `The data/theme agent could not find details for "${titleForMessage}" (Response: False).`;
-        }
+// A provider that cannot be set up (e.g. no API key) falls back to the offline hashing embeddings.
+function createMovieVectorIndex(outputDir, values) {
+    const provider = requestedEmbeddingsProvider(values);
+    let created;
+    try {
+        created = createEmbeddings({ provider, model: values['embeddings-model'] });
+    } catch (error) {
+        if (provider === 'hashing') throw error;
+        logger.warn(`Warning: ${error.message} Using the offline "hashing" embeddings instead.`);
+        created = createEmbeddings({ provider: 'hashing' });
+    }
+    const { embeddings, model } = created;
+    return createVectorIndex({ outputDir, embeddings, provider: created.provider, model });
+}
 
-        console.warn(`\n Could not find or fully process details for: "${titleForMessage}".`);
-        console.warn(`   Reason: ${reason}`);
-        console.log("   No output file will be created for this movie.");
+// Pipelines only need embeddings once a file is written, so runs that never index anything do not
+// depend on the embeddings provider being set up.
+function createLazyMovieVectorIndex(outputDir, values) {
+    requestedEmbeddingsProvider(values);
+    let vectorIndex = null;
+    return {
+        upsert(record) {
+            vectorIndex ??= createMovieVectorIndex(outputDir, values);
+            return vectorIndex.upsert(record);
+        },
+    };
+}
 
-        return {
-            ...input,
-            finalMessage: `Processing halted for "${titleForMessage}": ${reason}`,
-            writtenFilePath: null
-        };
-    }).withConfig({ runName: "HandleMovieNotFoundOrUncertainStep" });
-
-    
-    const isMovieNotFoundCondition = RunnableLambda.from(
-        (input) => input.movieDataFromOMDB?.Response === "False"
-    ).withConfig({ runName: "IsMovieNotFoundCondition" });
-
-
-    const fullMovieProcessingSequence = RunnableSequence.from([
-        titleRefinementAgent,
-        movieDataAndThemeAgent,
-        new RunnableBranch({
-            branches: [
-                [
-                    isMovieNotFoundCondition, 
-                    handleMovieNotFoundOrUncertain
-                ]
-            ],
-            default: fileWriterAgent
-        })
-    ]);
+async function processMoviePipeline(rawUserMovieTitle, pipeline) {
+    if (!rawUserMovieTitle || rawUserMovieTitle.trim() === "") {
+        console.error('Error: Please provide a movie name.');
+        console.log('Usage: node main.js "Your Movie Title"');
+        return;
+    }
+    logger.info(`\n⚙️ Starting Movie Processing Pipeline for: "${rawUserMovieTitle}"`);
 
     try {
         const initialInput = { raw_title: rawUserMovieTitle };
-        const result = await fullMovieProcessingSequence.invoke(initialInput);
+        const result = await pipeline.invoke(initialInput);
 
-        console.log("\nMovie Processing Pipeline finished.");
+        logger.info("\nMovie Processing Pipeline finished.");
         if (result && result.finalMessage) {
             console.log(" Final Status:", result.finalMessage);
             if (result.writtenFilePath) {
                 console.log(" Output File:", result.writtenFilePath);
             }
+            if (result.validationFailures && result.validationFailures.length > 0) {
+                logger.warn(" Validation fallbacks:");
+                result.validationFailures.forEach(failure => logger.warn(`   - ${failure.agent}: ${failure.failedFields.join(', ')}`));
+            }
+            if (result.traceId) {
+                logger.info(` Trace: ${result.traceId} (node main.js trace show ${result.traceId.slice(0, 8)})`);
+            }
+            // not_found, uncertain, unavailable, localization_failed and write_failed all mean no file was produced.
+            if (result.status !== 'written') process.exitCode = 1;
         } else {
             console.log(" Sequence finished. Check logs for specific outcomes. This state should ideally not be reached if branches cover all paths.");
+            process.exitCode = 1;
         }
     } catch (error) {
-        console.error("\n Critical error during pipeline execution:", error);
-        if (error.message && typeof error.input !== 'undefined' && error.runName) {
-            console.error("  Error details:", { message: error.message, input: JSON.stringify(error.input, null, 2), step: error.runName });
-        } else if (error.message && typeof error.input !== 'undefined') {
-             console.error("  Error details:", { message: error.message, input: JSON.stringify(error.input, null, 2) });
-        } else {
-            console.error("  Error details:", error);
+        console.error(`\n Pipeline failed${error.failedStep ? ` in ${error.failedStep}` : ''}: ${error.message}`);
+        logger.debug(error.stack);
+        if (error.traceId) {
+            console.error(` Trace: ${error.traceId} (node main.js trace show ${error.traceId.slice(0, 8)})`);
         }
+        process.exitCode = 1;
     }
 }
 
 (async () => {
-    const movieNameInput = process.argv.slice(2).join(" ").trim() || "Inception 2010";
-    await processMoviePipeline(movieNameInput);
-})();
\ No newline at end of file
+    let values, positionals;
+    try {
+        ({ values, positionals } = parseArgs({ args: process.argv.slice(2), options: CLI_OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.log(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    const outputDir = values['output-dir'];
+    let cache, traceStore;
+    try {
+        if (values.verbose && values.quiet) {
+            throw new Error('--verbose and --quiet cannot be combined.');
+        }
+        if (values.verbose || values.quiet) {
+            setLogLevel(values.verbose ? 'verbose' : 'quiet');
+        }
+        traceStore = createTraceStore({ filePath: values['trace-path'] });
+        cache = createMovieCache({
+            filePath: values['cache-path'],
+            ttlMs: values['cache-ttl'] !== undefined ? parsePositiveInteger(values['cache-ttl'], 'cache-ttl') * 60 * 60 * 1000 : undefined,
+        });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (positionals[0] === 'query') {
+        try {
+            const optionalInteger = name => (values[name] !== undefined ? parsePositiveInteger(values[name], name) : undefined);
+            const minRating = values['min-rating'] !== undefined ? Number(values['min-rating']) : undefined;
+            if (Number.isNaN(minRating)) {
+                throw new Error(`--min-rating must be a number (got "${values['min-rating']}").`);
+            }
+            await runQueryCommand(outputDir, {
+                filters: {
+                    genre: values.genre,
+                    cast: values.cast,
+                    title: values.title,
+                    language: values.lang !== undefined ? resolveLanguage(values.lang) : undefined,
+                    yearFrom: optionalInteger('year-from'),
+                    yearTo: optionalInteger('year-to'),
+                    minRating,
+                    sortBy: values.sort,
+                    descending: values.desc,
+                    limit: optionalInteger('limit'),
+                },
+                json: values.json,
+                rebuild: values['rebuild-index'],
+            });
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (positionals[0] === 'search') {
+        try {
+            await runSearchCommand(createMovieVectorIndex(outputDir, values), outputDir, {
+                query: positionals.slice(1).join(' ').trim(),
+                topK: Math.max(1, parsePositiveInteger(values['top-k'], 'top-k')),
+                json: values.json,
+                rebuild: values['rebuild-index'],
+            });
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (positionals[0] === 'trace') {
+        try {
+            await runTraceCommand(traceStore, positionals.slice(1), {
+                json: values.json,
+                limit: values.limit !== undefined ? Math.max(1, parsePositiveInteger(values.limit, 'limit')) : undefined,
+            });
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (positionals[0] === 'eval') {
+        try {
+            // The report is the output; agent logs only with --verbose.
+            if (!values.verbose) setLogLevel('quiet');
+            const report = await runEvalCommand({
+                agents: values.agent,
+                live: values.live,
+                record: values.record,
+                updateBaseline: values['update-baseline'],
+                json: values.json,
+                llmOverrides: buildLlmOverrides(values),
+                maxRetries: values['validation-retries'] !== undefined
+                    ? parsePositiveInteger(values['validation-retries'], 'validation-retries')
+                    : undefined,
+            });
+            if ((report.regressions.length > 0 && !values['update-baseline']) || report.staleRecordings.length > 0) process.exitCode = 1;
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (positionals[0] === 'cache') {
+        try {
+            await runCacheCommand(cache, positionals.slice(1), { expiredOnly: values.expired, dataSource: values['data-source'] });
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (!process.env.OMDB_API_KEY) {
+        logger.warn('Warning: OMDB_API_KEY is not set in your .env file. Movie data will be simulated by the LLM instead of fetched from OMDb.');
+    }
+
+    const command = ['batch', 'serve', 'watch', 'compare', 'similar'].includes(positionals[0]) ? positionals[0] : null;
+    const traced = runnable => (values['no-trace'] ? runnable : withRunTracing(runnable, traceStore));
+    let llms, basePipelineOptions, getPipeline;
+    try {
+        if (values['pick-first'] && values['fail-on-uncertain']) {
+            throw new Error('--pick-first and --fail-on-uncertain cannot be combined.');
+        }
+        const requestedPolicy = values['pick-first'] ? 'pick-first' : values['fail-on-uncertain'] ? 'fail' : undefined;
+        llms = createAgentLlms(buildLlmOverrides(values));
+        basePipelineOptions = {
+            outputDir,
+            dataSource: values['data-source'],
+            format: values.format,
+            language: resolveLanguage(values.lang ?? process.env.OUTPUT_LANGUAGE ?? DEFAULT_LANGUAGE),
+            summaryTiers: resolveSummaryTiers(values['summary-tiers'] ?? process.env.SUMMARY_TIERS),
+            onExists: resolveOnExistsPolicy(values['on-exists'] ?? process.env.ON_EXISTS),
+            cache: values['no-cache'] ? null : cache,
+            vectorIndex: createLazyMovieVectorIndex(outputDir, values),
+            refreshCache: values.refresh,
+            uncertainTitlePolicy: resolveUncertainTitlePolicy(requestedPolicy, command ? { interactive: false } : undefined),
+            maxRetries: values['validation-retries'] !== undefined
+                ? parsePositiveInteger(values['validation-retries'], 'validation-retries')
+                : undefined,
+        };
+
+        const pipelines = new Map();
+        getPipeline = ({ format, uncertainTitlePolicy, language, summaryTiers } = {}) => {
+            const options = {
+                ...basePipelineOptions,
+                format: format || basePipelineOptions.format,
+                uncertainTitlePolicy: uncertainTitlePolicy || basePipelineOptions.uncertainTitlePolicy,
+                language: language || basePipelineOptions.language,
+                summaryTiers: summaryTiers || basePipelineOptions.summaryTiers,
+            };
+            const key = `${options.format}|${options.uncertainTitlePolicy}|${options.language}|${options.summaryTiers.join(',')}`;
+            if (!pipelines.has(key)) {
+                pipelines.set(key, traced(createMoviePipeline(llms, options)));
+            }
+            return pipelines.get(key);
+        };
+        getPipeline();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (command === 'compare' || command === 'similar') {
+        try {
+            // Comparison reports and suggestions are written in English, so their inputs are not translated.
+            const movieDataSequence = traced(createMovieDataSequence(llms, { ...basePipelineOptions, language: DEFAULT_LANGUAGE }));
+            const maxRetries = basePipelineOptions.maxRetries;
+            if (command === 'compare') {
+                await runCompareCommand(movieDataSequence, createMovieComparisonAgent(llms.comparison, { maxRetries }), {
+                    titles: splitComparisonTitles(positionals.slice(1)),
+                    outputDir,
+                });
+            } else {
+                const similarTitlesAgent = createSimilarTitlesAgent(llms.similarTitles, {
+                    count: Math.max(1, parsePositiveInteger(values.count, 'count')),
+                    maxRetries,
+                });
+                await runSimilarCommand(movieDataSequence, similarTitlesAgent, getPipeline(), {
+                    title: positionals.slice(1).join(' ').trim(),
+                });
+            }
+        } catch (error) {
+            console.error(`\n ${command === 'compare' ? 'Comparison' : 'Similar titles'} failed: ${error.message}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (command === 'serve') {
+        try {
+            await runServeCommand(getPipeline, {
+                outputDir,
+                port: parsePositiveInteger(values.port, 'port'),
+                host: values.host,
+                concurrency: Math.max(1, parsePositiveInteger(values.concurrency, 'concurrency')),
+                summaryTiers: basePipelineOptions.summaryTiers,
+            });
+        } catch (error) {
+            console.error(`\n Server failed: ${error.message}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (command === 'watch') {
+        try {
+            const stats = await runWatchCommand(getPipeline, {
+                inboxDir: values.inbox,
+                queueFile: values.queue,
+                concurrency: Math.max(1, parsePositiveInteger(values.concurrency, 'concurrency')),
+                pollIntervalMs: Math.max(100, parsePositiveInteger(values['poll-interval'], 'poll-interval')),
+                once: values.once,
+            });
+            if (values.once && stats.failed > 0) process.exitCode = 1;
+        } catch (error) {
+            console.error(`\n Watch mode failed: ${error.message}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (command === 'batch') {
+        try {
+            const summary = await runBatchCommand(getPipeline(), {
+                input: values.input || positionals[1],
+                inputFormat: values['input-format'],
+                outputDir,
+                language: basePipelineOptions.language,
+                format: basePipelineOptions.format,
+                concurrency: Math.max(1, parsePositiveInteger(values.concurrency, 'concurrency')),
+                rateLimit: parsePositiveInteger(values['rate-limit'], 'rate-limit'),
+                resume: !values['no-resume'],
+                summaryJson: values['summary-json'],
+            });
+            if (summary.failed.length > 0 || summary.unavailable.length > 0) process.exitCode = 1;
+        } catch (error) {
+            console.error(`\n Batch run failed: ${error.message}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    const movieNameInput = positionals.join(" ").trim() || "Inception 2010";
+    await processMoviePipeline(movieNameInput, getPipeline());
+})();
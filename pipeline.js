@@ -0,0 +1,192 @@
+import { RunnableSequence, RunnableBranch, RunnableLambda } from "@langchain/core/runnables";
+import { createTitleRefinementAgent } from './agents/titleRefinementAgent.js';
+import { createMovieDataAndThemeAgent, resolveMovieDataSource } from './agents/movieDataAndThemeAgent.js';
+import { createFileWriterAgent } from './agents/fileWriterAgent.js';
+import { createTitleDisambiguationAgent } from './agents/titleDisambiguationAgent.js';
+import { createLocalizationAgent } from './agents/localizationAgent.js';
+import { createSpoilerCheckAgent } from './agents/spoilerCheckAgent.js';
+import { DEFAULT_LANGUAGE } from './renderers/labels.js';
+import { updateLibraryIndex } from './services/movieLibrary.js';
+import { logger } from './services/logger.js';
+
+export const DEFAULT_OUTPUT_DIR = 'movie_details';
+
+function hasValidationFailure(result, agent) {
+    return (result.validationFailures || []).some(failure => failure.agent === agent);
+}
+
+function withTitleCache(titleRefinementAgent, cache, { refresh }) {
+    return RunnableLambda.from(async (input, config) => {
+        if (!refresh) {
+            const cached = await cache.getRefinedTitle(input.raw_title);
+            if (cached) {
+                logger.info(`\n[Cache] Refined title for "${input.raw_title}": "${cached.refinedTitle}"${cached.refinedYear ? ` (${cached.refinedYear})` : ''}`);
+                return { ...input, ...cached, cacheHits: { ...input.cacheHits, title: true } };
+            }
+        }
+
+        const result = await titleRefinementAgent.invoke(input, config);
+        if (!result.titleIsUncertain && !result.transientFailure && !hasValidationFailure(result, 'titleRefinement')) {
+            await cache.setRefinedTitle(input.raw_title, {
+                refinedTitle: result.refinedTitle,
+                refinedYear: result.refinedYear,
+                titleIsUncertain: false,
+            });
+        }
+        return result;
+    }).withConfig({ runName: "CachedTitleRefinementStep" });
+}
+
+function withMovieCache(movieDataAndThemeAgent, cache, { refresh, dataSource }) {
+    return RunnableLambda.from(async (input, config) => {
+        if (!refresh && !input.titleIsUncertain) {
+            const cached = await cache.getMovie(input.refinedTitle, input.refinedYear, dataSource);
+            if (cached) {
+                logger.info(`\n[Cache] Movie record for "${input.refinedTitle}" loaded from cache.`);
+                return { ...input, ...cached, cacheHits: { ...input.cacheHits, movie: true } };
+            }
+        }
+
+        const result = await movieDataAndThemeAgent.invoke(input, config);
+        if (result.movieDataFromOMDB?.Response === "True") {
+            await cache.setMovie(input.refinedTitle, input.refinedYear, dataSource, {
+                movieDataFromOMDB: result.movieDataFromOMDB,
+                generatedTheme: result.generatedTheme,
+                plotSummaries: result.plotSummaries,
+            });
+        }
+        return result;
+    }).withConfig({ runName: "CachedMovieDataAndThemeStep" });
+}
+
+// Translations are cached per movie and language, on top of the (language-neutral) movie record cache.
+function withLocalizationCache(localizationAgent, cache, language, { refresh, dataSource }) {
+    return RunnableLambda.from(async (input, config) => {
+        const cacheable = !input.transientFailure && !input.titleIsUncertain && input.movieDataFromOMDB?.Response === "True";
+        if (cacheable && !refresh) {
+            const cached = await cache.getLocalization(input.refinedTitle, input.refinedYear, dataSource, language);
+            // Translations stored before summary tiers existed cannot cover them.
+            if (cached && (cached.plotSummaries || !input.plotSummaries)) {
+                logger.info(`\n[Cache] ${language} translation for "${input.refinedTitle}" loaded from cache.`);
+                return {
+                    ...input,
+                    movieDataFromOMDB: { ...input.movieDataFromOMDB, plotSummary: cached.plotSummary },
+                    generatedTheme: cached.generatedTheme,
+                    plotSummaries: cached.plotSummaries,
+                    outputLanguage: language,
+                    cacheHits: { ...input.cacheHits, localization: true },
+                };
+            }
+        }
+
+        const result = await localizationAgent.invoke(input, config);
+        if (cacheable && !result.transientFailure && !hasValidationFailure(result, 'localization')) {
+            await cache.setLocalization(input.refinedTitle, input.refinedYear, dataSource, language, {
+                plotSummary: result.movieDataFromOMDB.plotSummary,
+                generatedTheme: result.generatedTheme,
+                plotSummaries: result.plotSummaries,
+            });
+        }
+        return result;
+    }).withConfig({ runName: "CachedLocalizationStep" });
+}
+
+export function createMovieDataSequence(llms, {
+    dataSource,
+    maxRetries,
+    cache,
+    refreshCache = false,
+    uncertainTitlePolicy = 'fail',
+    language = DEFAULT_LANGUAGE,
+} = {}) {
+    const resolvedDataSource = resolveMovieDataSource(dataSource);
+    let titleRefinementAgent = createTitleRefinementAgent(llms.titleRefinement, { maxRetries });
+    // The spoiler check runs inside the cached step so cached records keep their verified tiers.
+    let movieDataAndThemeAgent = RunnableSequence.from([
+        createMovieDataAndThemeAgent(llms.movieData, { dataSource: resolvedDataSource, maxRetries }),
+        createSpoilerCheckAgent(llms.spoilerCheck, { maxRetries }),
+    ]);
+    if (cache) {
+        titleRefinementAgent = withTitleCache(titleRefinementAgent, cache, { refresh: refreshCache });
+        movieDataAndThemeAgent = withMovieCache(movieDataAndThemeAgent, cache, { refresh: refreshCache, dataSource: resolvedDataSource });
+    }
+    const titleDisambiguationAgent = createTitleDisambiguationAgent({ policy: uncertainTitlePolicy });
+
+    const steps = [titleRefinementAgent, titleDisambiguationAgent, movieDataAndThemeAgent];
+    if (language !== DEFAULT_LANGUAGE) {
+        // Runs after the cached data step so the cached movie record stays in English.
+        let localizationAgent = createLocalizationAgent(llms.localization, { language, maxRetries });
+        if (cache) {
+            localizationAgent = withLocalizationCache(localizationAgent, cache, language, { refresh: refreshCache, dataSource: resolvedDataSource });
+        }
+        steps.push(localizationAgent);
+    }
+    return RunnableSequence.from(steps);
+}
+
+async function indexWrittenFile(outputDir, filePath, vectorIndex) {
+    const entry = await updateLibraryIndex(outputDir, filePath);
+    if (entry && vectorIndex) {
+        await vectorIndex.upsert(entry);
+    }
+}
+
+export function createMoviePipeline(llms, { outputDir = DEFAULT_OUTPUT_DIR, format, summaryTiers, onExists, maxRetries, vectorIndex, ...dataOptions } = {}) {
+    const movieDataSequence = createMovieDataSequence(llms, { maxRetries, ...dataOptions });
+    const fileWriterAgent = createFileWriterAgent(llms.fileWriter, outputDir, {
+        format,
+        summaryTiers,
+        onExists,
+        maxRetries,
+        onFileWritten: [
+            ({ filePath }) => indexWrittenFile(outputDir, filePath, vectorIndex),
+        ],
+    });
+
+    const handleMovieNotFoundOrUncertain = RunnableLambda.from(async (input) => {
+        const titleForMessage = input.movieDataFromOMDB?.title || input.refinedTitle || input.raw_title || "the provided movie";
+        let reason = "The movie data/theme agent indicated the movie was not found or an error occurred.";
+
+        if (input.localizationFailure) {
+            reason = `The ${input.localizationFailure.language} translation for "${titleForMessage}" failed validation (${input.localizationFailure.message.replace(/\.$/, '')}).`;
+        } else if (input.transientFailure) {
+            reason = `A service needed for "${titleForMessage}" was temporarily unavailable (${input.transientFailure.message.replace(/\.$/, '')}). This does not mean the movie does not exist; try again later.`;
+        } else if (input.titleIsUncertain) {
+            reason = `The initial movie title ("${input.raw_title}") was too uncertain for reliable processing. Refined attempt: "${input.refinedTitle}".`;
+        } else if (input.movieDataFromOMDB && input.movieDataFromOMDB.error) {
+            reason = `Reason from data/theme agent for "${titleForMessage}": ${input.movieDataFromOMDB.error}`;
+        } else if (input.movieDataFromOMDB?.Response === "False"){
+             reason = `The data/theme agent could not find details for "${titleForMessage}" (Response: False).`;
+        }
+
+        logger.warn(`\n Could not find or fully process details for: "${titleForMessage}".`);
+        logger.warn(`   Reason: ${reason}`);
+        logger.info("   No output file will be created for this movie.");
+
+        return {
+            ...input,
+            status: input.localizationFailure ? "localization_failed" : input.transientFailure ? "unavailable" : input.titleIsUncertain ? "uncertain" : "not_found",
+            finalMessage: `Processing halted for "${titleForMessage}": ${reason}`,
+            writtenFilePath: null
+        };
+    }).withConfig({ runName: "HandleMovieNotFoundOrUncertainStep" });
+
+    
+    const isMovieNotFoundCondition = RunnableLambda.from(
+        (input) => Boolean(input.transientFailure || input.localizationFailure) || input.titleIsUncertain || input.movieDataFromOMDB?.Response === "False"
+    ).withConfig({ runName: "IsMovieNotFoundCondition" });
+
+
+    return RunnableSequence.from([
+        movieDataSequence,
+        new RunnableBranch({
+            branches: [
+                [
+                    isMovieNotFoundCondition, 
+                    handleMovieNotFoundOrUncertain
+                ]
+            ],
+            default: fileWriterAgent
+        })
+    ]);
+}
@@ -0,0 +1,49 @@
+import { formatMovieRecordFields, formatSummarySections } from './movieRecord.js';
+import { toMovieJsonDocument } from './jsonRenderer.js';
+import { labelsFor } from './labels.js';
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeJsonForScript(json) {
+    return json.replace(/</g, '\\u003c');
+}
+
+export const htmlRenderer = {
+    name: 'html',
+    extension: 'html',
+    render(record) {
+        const fields = formatMovieRecordFields(record);
+        const labels = labelsFor(record.language);
+        const heading = escapeHtml(`${fields.title} (${fields.year})`);
+        const embeddedJson = escapeJsonForScript(JSON.stringify(toMovieJsonDocument(record)));
+
+        return `<!DOCTYPE html>\n` +
+               `<html lang="${escapeHtml(record.language || 'en')}">\n` +
+               `<head>\n` +
+               `  <meta charset="utf-8">\n` +
+               `  <title>${heading}</title>\n` +
+               `  <script type="application/json" id="movie-data">${embeddedJson}</script>\n` +
+               `</head>\n` +
+               `<body>\n` +
+               `  <h1>${heading}</h1>\n` +
+               `  <dl>\n` +
+               `    <dt>${escapeHtml(labels.imdbRating)}</dt><dd>${escapeHtml(fields.imdbRating)}</dd>\n` +
+               `    <dt>${escapeHtml(labels.mainCast)}</dt><dd>${escapeHtml(fields.mainCast)}</dd>\n` +
+               `    <dt>${escapeHtml(labels.genre)}</dt><dd>${escapeHtml(fields.genre)}</dd>\n` +
+               `  </dl>\n` +
+               `  <h2>${escapeHtml(labels.movieTheme)}</h2>\n` +
+               `  <p>${escapeHtml(fields.movieTheme)}</p>\n` +
+               formatSummarySections(record).map(section =>
+                   `  <h2>${escapeHtml(section.label)}</h2>\n` +
+                   `  <p${section.tier ? ` class="summary-${section.tier}"` : ''}>${escapeHtml(section.text)}</p>\n`).join('') +
+               `</body>\n` +
+               `</html>\n`;
+    },
+};
@@ -0,0 +1,32 @@
+import { txtRenderer } from './txtRenderer.js';
+import { jsonRenderer } from './jsonRenderer.js';
+import { markdownRenderer } from './markdownRenderer.js';
+import { htmlRenderer } from './htmlRenderer.js';
+import { llmRenderer } from './llmRenderer.js';
+
+export { buildMovieRecord, resolveSummaryTiers, SUMMARY_TIERS, DEFAULT_SUMMARY_TIERS } from './movieRecord.js';
+
+export const DEFAULT_FORMAT = 'txt';
+
+const renderers = new Map();
+
+export function registerRenderer(renderer) {
+    if (!renderer || !renderer.name || !renderer.extension || typeof renderer.render !== 'function') {
+        throw new Error("A renderer needs a name, an extension and a render(record, context) function.");
+    }
+    renderers.set(renderer.name, renderer);
+}
+
+export function getRenderer(name = DEFAULT_FORMAT) {
+    const renderer = renderers.get(name);
+    if (!renderer) {
+        throw new Error(`Unknown output format "${name}". Available formats: ${listRendererNames().join(', ')}.`);
+    }
+    return renderer;
+}
+
+export function listRendererNames() {
+    return [...renderers.keys()];
+}
+
+[txtRenderer, jsonRenderer, markdownRenderer, htmlRenderer, llmRenderer].forEach(registerRenderer);
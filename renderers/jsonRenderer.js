@@ -0,0 +1,26 @@
+export const MOVIE_JSON_SCHEMA_VERSION = 1;
+
+export function toMovieJsonDocument(record) {
+    return {
+        schemaVersion: MOVIE_JSON_SCHEMA_VERSION,
+        title: record.title,
+        year: record.year,
+        imdbID: record.imdbID,
+        imdbRating: record.imdbRating,
+        mainCast: record.mainCast,
+        genre: record.genre,
+        theme: record.theme,
+        plotSummary: record.plotSummary,
+        summaries: record.summaries,
+        dataSource: record.dataSource,
+        language: record.language,
+    };
+}
+
+export const jsonRenderer = {
+    name: 'json',
+    extension: 'json',
+    render(record) {
+        return JSON.stringify(toMovieJsonDocument(record), null, 2) + '\n';
+    },
+};
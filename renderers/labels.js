@@ -0,0 +1,134 @@
+export const DEFAULT_LANGUAGE = 'en';
+
+// Output languages with their file labels. Labels are fixed per language (rather than generated)
+// so the movie library can parse every language version of a file back into a record.
+const LANGUAGES = {
+    en: {
+        name: 'English',
+        nativeName: 'English',
+        labels: {
+            movieTitle: 'Movie Title',
+            imdbRating: 'IMDb Rating',
+            mainCast: 'Main Cast',
+            genre: 'Genre(s)',
+            movieTheme: 'Movie Theme',
+            plotSummary: 'Plot Summary',
+            logline: 'Logline',
+            synopsis: 'Synopsis',
+            fullSummary: 'Full Summary',
+            spoilers: 'Spoilers',
+            language: 'Language',
+            themeFallback: 'Theme could not be determined.',
+        },
+    },
+    hi: {
+        name: 'Hindi',
+        nativeName: 'हिन्दी',
+        labels: {
+            movieTitle: 'फ़िल्म का नाम',
+            imdbRating: 'IMDb रेटिंग',
+            mainCast: 'मुख्य कलाकार',
+            genre: 'शैली',
+            movieTheme: 'फ़िल्म का विषय',
+            plotSummary: 'कथानक सारांश',
+            logline: 'एक पंक्ति में',
+            synopsis: 'सारांश',
+            fullSummary: 'पूरी कहानी',
+            spoilers: 'स्पॉइलर',
+            language: 'भाषा',
+            themeFallback: 'विषय निर्धारित नहीं किया जा सका।',
+        },
+    },
+    es: {
+        name: 'Spanish',
+        nativeName: 'Español',
+        labels: {
+            movieTitle: 'Título de la película',
+            imdbRating: 'Calificación de IMDb',
+            mainCast: 'Reparto principal',
+            genre: 'Género(s)',
+            movieTheme: 'Tema de la película',
+            plotSummary: 'Resumen de la trama',
+            logline: 'Premisa',
+            synopsis: 'Sinopsis',
+            fullSummary: 'Resumen completo',
+            spoilers: 'Spoilers',
+            language: 'Idioma',
+            themeFallback: 'No se pudo determinar el tema.',
+        },
+    },
+    fr: {
+        name: 'French',
+        nativeName: 'Français',
+        labels: {
+            movieTitle: 'Titre du film',
+            imdbRating: 'Note IMDb',
+            mainCast: 'Distribution principale',
+            genre: 'Genre(s)',
+            movieTheme: 'Thème du film',
+            plotSummary: 'Résumé de l’intrigue',
+            logline: 'Pitch',
+            synopsis: 'Synopsis',
+            fullSummary: 'Résumé complet',
+            spoilers: 'Spoilers',
+            language: 'Langue',
+            themeFallback: 'Le thème n’a pas pu être déterminé.',
+        },
+    },
+    de: {
+        name: 'German',
+        nativeName: 'Deutsch',
+        labels: {
+            movieTitle: 'Filmtitel',
+            imdbRating: 'IMDb-Bewertung',
+            mainCast: 'Hauptbesetzung',
+            genre: 'Genre(s)',
+            movieTheme: 'Thema des Films',
+            plotSummary: 'Handlung',
+            logline: 'Logline',
+            synopsis: 'Inhaltsangabe',
+            fullSummary: 'Vollständige Handlung',
+            spoilers: 'Spoiler',
+            language: 'Sprache',
+            themeFallback: 'Das Thema konnte nicht bestimmt werden.',
+        },
+    },
+};
+
+export function listLanguages() {
+    return Object.keys(LANGUAGES);
+}
+
+export function resolveLanguage(code = DEFAULT_LANGUAGE) {
+    const normalized = String(code).trim().toLowerCase();
+    const match = Object.entries(LANGUAGES).find(([key, language]) =>
+        key === normalized || language.name.toLowerCase() === normalized || language.nativeName.toLowerCase() === normalized);
+    if (!match) {
+        throw new Error(`Unsupported language "${code}". Available languages: ${listLanguages().join(', ')}.`);
+    }
+    return match[0];
+}
+
+export function languageInfo(code) {
+    return LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+export function labelsFor(code) {
+    return languageInfo(code).labels;
+}
+
+// Every language's label for one field, for parsers that have to recognise any language version.
+export function allLabelsFor(field) {
+    return Object.entries(LANGUAGES).map(([code, language]) => ({ code, label: language.labels[field] }));
+}
+
+export function isThemeFallback(text) {
+    const normalized = String(text || '').trim().toLowerCase();
+    return normalized.includes('could not be determined')
+        || Object.values(LANGUAGES).some(language => normalized === language.labels.themeFallback.toLowerCase());
+}
+
+// English files keep their historical names; other languages get a suffix so versions can coexist.
+export function languageFileSuffix(code) {
+    return !code || code === DEFAULT_LANGUAGE ? '' : `.${code}`;
+}
@@ -0,0 +1,101 @@
+import {
+    ChatPromptTemplate,
+    HumanMessagePromptTemplate,
+    SystemMessagePromptTemplate,
+} from '@langchain/core/prompts';
+import { formatMovieRecordFields, formatSummarySections } from './movieRecord.js';
+import { fileDescriptorSchema } from '../agents/schemas.js';
+import { createStructuredOutputTool, StructuredOutputError, validationFailureFromError } from '../services/structuredOutput.js';
+import { txtRenderer } from './txtRenderer.js';
+import { labelsFor, languageInfo } from './labels.js';
+import { logger } from '../services/logger.js';
+
+const fileContentGenerationPromptTemplate = ChatPromptTemplate.fromMessages([
+    SystemMessagePromptTemplate.fromTemplate(
+`You are an expert file creation assistant.
+Your task is to take movie details and generate a SINGLE JSON object containing "file_content": the fully formatted text content for the file.
+
+The file content MUST follow this exact structure, with data placeholders filled:
+{file_structure}
+
+Instructions for JSON generation:
+- The file is written in {language_name}. Keep the labels exactly as shown above and copy the provided texts as they are; keep the title and cast names in their original form.
+- Replace placeholders like {{title}} with the actual data provided.
+- If a piece of data is 'N/A', 'Not Available', empty, or indicates an error, represent it as 'N/A' in the output file_content string (unless the placeholder is for an error message itself).
+- For the theme: if the provided theme is empty, 'N/A', or indicates inability to determine, use "{theme_fallback}" in the file_content.
+- You MUST output a single, well-formed JSON object with exactly one key: "file_content" (string).
+- The "file_content" string MUST correctly use newline characters (\\n) for line breaks as shown in the template.
+
+{format_instructions}
+`
+    ),
+    HumanMessagePromptTemplate.fromTemplate(
+`Generate the JSON for the file content using these details:
+Title: {title}
+Year: {year}
+IMDb Rating: {imdbRating}
+Main Cast: {mainCast}
+Genre: {genre}
+Movie Theme: {movieTheme}
+{summary_details}
+OMDB/Theme Error (if any, for context): {omdbError}` 
+    ),
+]);
+
+function renderFileStructure(labels, summarySections) {
+    return `${labels.movieTitle}: {title} ({year})\n` +
+           `--------------------------------------\n` +
+           `${labels.imdbRating}:\n  {imdbRating}\n\n` +
+           `${labels.mainCast}:\n  {mainCast}\n\n` +
+           `${labels.genre}:\n  {genre}\n\n` +
+           `${labels.movieTheme}:\n  {movieTheme}\n\n` +
+           summarySections.map(section => `${section.label}:\n  {${section.tier || 'plotSummary'}}`).join('\n\n');
+}
+
+function renderFallbackContent(record) {
+    return txtRenderer.render(record) + `\n` +
+           `--- Fallback Content Note ---\n` +
+           `This content was generated due to an issue with the LLM producing the structured file details.\n` +
+           `OMDB/Theme Agent Error (if any): ${record.error || 'N/A'}\n`;
+}
+
+export const llmRenderer = {
+    name: 'llm',
+    extension: 'txt',
+    async render(record, { llm, maxRetries, config }) {
+        const llmJsonGenerationTool = createStructuredOutputTool(fileContentGenerationPromptTemplate, llm, fileDescriptorSchema, {
+            maxRetries,
+            name: "FileContentGeneration",
+        });
+
+        const labels = labelsFor(record.language);
+        const summarySections = formatSummarySections(record);
+        const detailsForFileLlm = {
+            ...formatMovieRecordFields(record),
+            summary_details: summarySections.map(section => `${section.label} ({${section.tier || 'plotSummary'}}): ${section.text}`).join('\n'),
+            omdbError: record.error || 'N/A',
+            file_structure: renderFileStructure(labels, summarySections),
+            language_name: languageInfo(record.language).name,
+            theme_fallback: labels.themeFallback,
+        };
+
+        let validationFailure;
+        try {
+            const fileDetailsFromLlm = await llmJsonGenerationTool.invoke(detailsForFileLlm, config);
+            return {
+                content: fileDetailsFromLlm.file_content,
+                contentSource: 'llm',
+            };
+        } catch (error) {
+            if (!(error instanceof StructuredOutputError)) {
+                logger.error(`  Error invoking LLM for file content generation for "${record.title}": ${error.message}`);
+            } else {
+                logger.error(`  LLM file details for "${record.title}" failed validation: ${error.message}`);
+                validationFailure = validationFailureFromError("fileContentGeneration", error);
+            }
+        }
+
+        logger.warn(`  Falling back to manually constructed content for "${record.title}".`);
+        return { content: renderFallbackContent(record), contentSource: 'fallback', validationFailure };
+    },
+};
@@ -0,0 +1,21 @@
+import { formatMovieRecordFields, formatSummarySections } from './movieRecord.js';
+import { DEFAULT_LANGUAGE, labelsFor, languageInfo } from './labels.js';
+
+export const markdownRenderer = {
+    name: 'markdown',
+    extension: 'md',
+    render(record) {
+        const fields = formatMovieRecordFields(record);
+        const labels = labelsFor(record.language);
+        const languageLine = record.language && record.language !== DEFAULT_LANGUAGE
+            ? `- **${labels.language}:** ${languageInfo(record.language).nativeName} (${record.language})\n`
+            : '';
+        return `# ${fields.title} (${fields.year})\n\n` +
+               languageLine +
+               `- **${labels.imdbRating}:** ${fields.imdbRating}\n` +
+               `- **${labels.mainCast}:** ${fields.mainCast}\n` +
+               `- **${labels.genre}:** ${fields.genre}\n\n` +
+               `## ${labels.movieTheme}\n\n${fields.movieTheme}\n\n` +
+               formatSummarySections(record).map(section => `## ${section.label}\n\n${section.text}\n`).join('\n');
+    },
+};
@@ -0,0 +1,84 @@
+import { DEFAULT_LANGUAGE, labelsFor, isThemeFallback } from './labels.js';
+import { splitList } from '../utils.js';
+
+// Plot summary variants, shortest first. Only "full" is expected to reveal the ending.
+export const SUMMARY_TIERS = ['logline', 'synopsis', 'full'];
+export const DEFAULT_SUMMARY_TIERS = ['logline', 'synopsis'];
+
+const SUMMARY_TIER_LABELS = { logline: 'logline', synopsis: 'synopsis', full: 'fullSummary' };
+
+export function resolveSummaryTiers(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_SUMMARY_TIERS;
+    const requested = (Array.isArray(value) ? value : String(value).split(','))
+        .map(tier => tier.trim().toLowerCase())
+        .filter(Boolean);
+    const unknown = requested.find(tier => !SUMMARY_TIERS.includes(tier));
+    if (unknown || requested.length === 0) {
+        throw new Error(`Unknown summary tier "${unknown ?? value}". Expected a comma-separated list of: ${SUMMARY_TIERS.join(', ')}.`);
+    }
+    return SUMMARY_TIERS.filter(tier => requested.includes(tier));
+}
+
+function valueOrNull(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    if (!text || text === 'N/A' || text.toLowerCase() === 'not available') return null;
+    return text;
+}
+
+function selectSummaries(plotSummaries, tiers) {
+    const summaries = {};
+    for (const tier of tiers) {
+        const text = valueOrNull(plotSummaries?.[tier]?.text);
+        if (text) {
+            summaries[tier] = { text, containsSpoilers: tier === 'full' || Boolean(plotSummaries[tier].containsSpoilers) };
+        }
+    }
+    return Object.keys(summaries).length > 0 ? summaries : null;
+}
+
+export function buildMovieRecord({ movieDataFromOMDB = {}, generatedTheme, refinedTitle, outputLanguage, plotSummaries, summaryTiers = SUMMARY_TIERS }) {
+    const theme = valueOrNull(generatedTheme);
+    const rating = valueOrNull(movieDataFromOMDB.imdbRating);
+
+    return {
+        title: valueOrNull(movieDataFromOMDB.title) || valueOrNull(refinedTitle) || "Unknown Movie",
+        year: valueOrNull(movieDataFromOMDB.year),
+        imdbID: valueOrNull(movieDataFromOMDB.imdbID),
+        imdbRating: rating && !Number.isNaN(Number(rating)) ? Number(rating) : null,
+        mainCast: splitList(valueOrNull(movieDataFromOMDB.mainCast)),
+        genre: splitList(valueOrNull(movieDataFromOMDB.genre)),
+        theme: theme && !isThemeFallback(theme) ? theme : null,
+        plotSummary: valueOrNull(movieDataFromOMDB.plotSummary),
+        summaries: selectSummaries(plotSummaries, summaryTiers),
+        dataSource: movieDataFromOMDB.dataSource || null,
+        language: outputLanguage || DEFAULT_LANGUAGE,
+        error: valueOrNull(movieDataFromOMDB.error),
+    };
+}
+
+export function formatMovieRecordFields(record) {
+    return {
+        title: record.title,
+        year: record.year || 'N/A',
+        imdbRating: record.imdbRating !== null ? record.imdbRating.toFixed(1) : 'N/A',
+        mainCast: record.mainCast.length > 0 ? record.mainCast.join(', ') : 'N/A',
+        genre: record.genre.length > 0 ? record.genre.join(', ') : 'N/A',
+        movieTheme: record.theme || labelsFor(record.language).themeFallback,
+        plotSummary: record.plotSummary || 'N/A',
+    };
+}
+
+// The plot sections of a written file: the selected summary tiers, or the plain plot summary when
+// no tiers are available (e.g. records cached before tiers existed). Spoiler tiers are marked.
+export function formatSummarySections(record) {
+    const labels = labelsFor(record.language);
+    if (!record.summaries) {
+        return [{ tier: null, label: labels.plotSummary, text: record.plotSummary || 'N/A' }];
+    }
+    return Object.entries(record.summaries).map(([tier, summary]) => ({
+        tier,
+        label: labels[SUMMARY_TIER_LABELS[tier]],
+        text: summary.containsSpoilers ? `[${labels.spoilers}] ${summary.text}` : summary.text,
+    }));
+}
@@ -0,0 +1,22 @@
+import { formatMovieRecordFields, formatSummarySections } from './movieRecord.js';
+import { DEFAULT_LANGUAGE, labelsFor, languageInfo } from './labels.js';
+
+export const txtRenderer = {
+    name: 'txt',
+    extension: 'txt',
+    render(record) {
+        const fields = formatMovieRecordFields(record);
+        const labels = labelsFor(record.language);
+        const languageLine = record.language && record.language !== DEFAULT_LANGUAGE
+            ? `${labels.language}:\n  ${languageInfo(record.language).nativeName} (${record.language})\n\n`
+            : '';
+        return `${labels.movieTitle}: ${fields.title} (${fields.year})\n` +
+               `--------------------------------------\n` +
+               languageLine +
+               `${labels.imdbRating}:\n  ${fields.imdbRating}\n\n` +
+               `${labels.mainCast}:\n  ${fields.mainCast}\n\n` +
+               `${labels.genre}:\n  ${fields.genre}\n\n` +
+               `${labels.movieTheme}:\n  ${fields.movieTheme}\n\n` +
+               formatSummarySections(record).map(section => `${section.label}:\n  ${section.text}\n`).join('\n');
+    },
+};
@@ -0,0 +1,261 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { z } from 'zod';
+import { createJobStore, jobStatusFromPipelineResult, FINISHED_JOB_STATUSES } from './jobStore.js';
+import { StepEventHandler } from '../services/stepEventHandler.js';
+import { buildMovieRecord, DEFAULT_SUMMARY_TIERS } from '../renderers/index.js';
+import { movieRequestSchema, parseMovieRequest, pipelineOptionsForRequest, MovieRequestError } from '../services/movieRequest.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+const createMovieRequestSchema = movieRequestSchema.extend({
+    wait: z.boolean().optional(),
+});
+
+class HttpError extends Error {
+    constructor(statusCode, code, message, details) {
+        super(message);
+        this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+function sendError(res, error) {
+    const statusCode = error.statusCode || 500;
+    const body = {
+        error: {
+            code: error.code || 'internal_error',
+            message: statusCode === 500 ? 'Internal server error.' : error.message,
+            ...(error.details ? { details: error.details } : {}),
+        },
+    };
+    sendJson(res, statusCode, body);
+}
+
+async function readJsonBody(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, 'payload_too_large', `Request body exceeds ${MAX_BODY_BYTES} bytes.`);
+        }
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch (error) {
+        throw new HttpError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`);
+    }
+}
+
+function serializeJob(job, { includeEvents = false } = {}) {
+    const { events, ...rest } = job;
+    return {
+        ...rest,
+        links: { self: `/movies/${job.id}`, events: `/movies/${job.id}/events` },
+        ...(includeEvents ? { events } : {}),
+    };
+}
+
+// Only the requested summary tiers are returned, as in the written file; the full tier reveals the ending.
+function summarizeResult(result, { summaryTiers = DEFAULT_SUMMARY_TIERS } = {}) {
+    return {
+        rawTitle: result.raw_title,
+        refinedTitle: result.refinedTitle,
+        refinedYear: result.refinedYear ?? null,
+        movie: result.movieDataFromOMDB ? buildMovieRecord({ ...result, summaryTiers }) : null,
+        writtenFilePath: result.writtenFilePath ?? null,
+        outputFormat: result.outputFormat ?? null,
+        validationFailures: result.validationFailures || [],
+        traceId: result.traceId ?? null,
+    };
+}
+
+async function listMovieEntries(outputDir) {
+    let names;
+    try {
+        names = await fs.readdir(outputDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const entries = [];
+    for (const name of names.filter(name => !name.startsWith('.')).sort()) {
+        const stats = await fs.stat(path.join(outputDir, name));
+        if (!stats.isFile()) continue;
+        entries.push({
+            file: name,
+            format: path.extname(name).slice(1) || null,
+            sizeBytes: stats.size,
+            modifiedAt: stats.mtime.toISOString(),
+        });
+    }
+    return entries;
+}
+
+export function createMovieServer({ getPipeline, outputDir, concurrency = 2, summaryTiers = DEFAULT_SUMMARY_TIERS, jobStore = createJobStore() }) {
+    const queue = [];
+    let running = 0;
+
+    async function runJob(job) {
+        jobStore.update(job.id, { status: 'running', startedAt: new Date().toISOString() });
+        const handler = new StepEventHandler(event => jobStore.appendEvent(job.id, event));
+
+        try {
+            const pipeline = getPipeline(pipelineOptionsForRequest(job.request));
+            const result = await pipeline.invoke({ raw_title: job.request.title }, { callbacks: [handler] });
+            jobStore.update(job.id, {
+                status: jobStatusFromPipelineResult(result),
+                finishedAt: new Date().toISOString(),
+                finalMessage: result.finalMessage ?? null,
+                result: summarizeResult(result, { summaryTiers: job.request.summaryTiers || summaryTiers }),
+            });
+        } catch (error) {
+            jobStore.update(job.id, {
+                status: 'failed',
+                finishedAt: new Date().toISOString(),
+                finalMessage: `Pipeline failed for "${job.request.title}": ${error.message}`,
+                error: {
+                    code: 'pipeline_error',
+                    message: error.message,
+                    failedStep: error.failedStep ?? null,
+                    traceId: error.traceId ?? null,
+                },
+            });
+        }
+    }
+
+    function drainQueue() {
+        while (running < concurrency && queue.length > 0) {
+            const job = queue.shift();
+            running++;
+            runJob(job).finally(() => {
+                running--;
+                drainQueue();
+            });
+        }
+    }
+
+    function waitForJob(job) {
+        if (FINISHED_JOB_STATUSES.includes(job.status)) return Promise.resolve(job);
+        return new Promise(resolve => {
+            const unsubscribe = jobStore.subscribe(job.id, event => {
+                if (event.type === 'job_end') {
+                    unsubscribe();
+                    resolve(jobStore.get(job.id));
+                }
+            });
+        });
+    }
+
+    async function createMovieJob(req, res, url) {
+        const body = await readJsonBody(req);
+        let parsedRequest;
+        try {
+            parsedRequest = parseMovieRequest(body, { schema: createMovieRequestSchema });
+        } catch (error) {
+            if (!(error instanceof MovieRequestError)) throw error;
+            throw new HttpError(400, 'invalid_request', error.message, error.details);
+        }
+        const { wait, ...request } = parsedRequest;
+
+        const job = jobStore.create(request);
+        queue.push(job);
+        drainQueue();
+
+        if (wait || url.searchParams.get('wait') === 'true') {
+            const finishedJob = await waitForJob(job);
+            sendJson(res, 200, serializeJob(finishedJob));
+            return;
+        }
+        sendJson(res, 202, serializeJob(job), { Location: `/movies/${job.id}` });
+    }
+
+    function getJobOr404(id) {
+        const job = jobStore.get(id);
+        if (!job) {
+            throw new HttpError(404, 'job_not_found', `No movie job with id "${id}".`);
+        }
+        return job;
+    }
+
+    function streamJobEvents(req, res, id) {
+        const job = getJobOr404(id);
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        });
+
+        const send = event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        job.events.forEach(send);
+
+        if (FINISHED_JOB_STATUSES.includes(job.status)) {
+            send({ type: 'job_end', status: job.status, at: job.finishedAt });
+            res.end();
+            return;
+        }
+
+        const unsubscribe = jobStore.subscribe(id, event => {
+            send(event);
+            if (event.type === 'job_end') {
+                unsubscribe();
+                res.end();
+            }
+        });
+        req.on('close', unsubscribe);
+    }
+
+    async function handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const segments = url.pathname.split('/').filter(Boolean);
+
+        if (segments[0] !== 'movies' || segments.length > 3 || (segments.length === 3 && segments[2] !== 'events')) {
+            throw new HttpError(404, 'not_found', `No route for ${req.method} ${url.pathname}.`);
+        }
+
+        if (segments.length === 1) {
+            if (req.method === 'GET') {
+                sendJson(res, 200, { outputDir, entries: await listMovieEntries(outputDir) });
+                return;
+            }
+            if (req.method === 'POST') {
+                await createMovieJob(req, res, url);
+                return;
+            }
+        } else if (req.method === 'GET') {
+            if (segments.length === 3) {
+                streamJobEvents(req, res, segments[1]);
+            } else {
+                sendJson(res, 200, serializeJob(getJobOr404(segments[1]), { includeEvents: true }));
+            }
+            return;
+        }
+
+        throw new HttpError(405, 'method_not_allowed', `${req.method} is not allowed on ${url.pathname}.`);
+    }
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            if (!error.statusCode) {
+                console.error(`  [MovieServer] Unexpected error for ${req.method} ${req.url}: ${error.message}`);
+            }
+            if (res.headersSent) {
+                res.end();
+            } else {
+                sendError(res, error);
+            }
+        });
+    });
+
+    return server;
+}
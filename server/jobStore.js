@@ -0,0 +1,79 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+
+export const FINISHED_JOB_STATUSES = ['succeeded', 'not_found', 'uncertain', 'unavailable', 'failed'];
+
+const PIPELINE_STATUS_TO_JOB_STATUS = {
+    written: 'succeeded',
+    not_found: 'not_found',
+    uncertain: 'uncertain',
+    unavailable: 'unavailable',
+    write_failed: 'failed',
+};
+
+export function jobStatusFromPipelineResult(result) {
+    return PIPELINE_STATUS_TO_JOB_STATUS[result?.status] || 'failed';
+}
+
+export function createJobStore({ maxJobs = 1000 } = {}) {
+    const jobs = new Map();
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    function evictOldJobs() {
+        for (const [id, job] of jobs) {
+            if (jobs.size <= maxJobs) break;
+            if (FINISHED_JOB_STATUSES.includes(job.status)) jobs.delete(id);
+        }
+    }
+
+    function create(request) {
+        const job = {
+            id: randomUUID(),
+            status: 'queued',
+            request,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            finalMessage: null,
+            result: null,
+            error: null,
+            events: [],
+        };
+        jobs.set(job.id, job);
+        evictOldJobs();
+        return job;
+    }
+
+    function get(id) {
+        return jobs.get(id) || null;
+    }
+
+    function list() {
+        return [...jobs.values()];
+    }
+
+    function update(id, changes) {
+        const job = jobs.get(id);
+        if (!job) return null;
+        Object.assign(job, changes);
+        if (FINISHED_JOB_STATUSES.includes(job.status)) {
+            emitter.emit(id, { type: 'job_end', status: job.status, at: job.finishedAt });
+        }
+        return job;
+    }
+
+    function appendEvent(id, event) {
+        const job = jobs.get(id);
+        if (!job) return;
+        job.events.push(event);
+        emitter.emit(id, event);
+    }
+
+    function subscribe(id, listener) {
+        emitter.on(id, listener);
+        return () => emitter.off(id, listener);
+    }
+
+    return { create, get, list, update, appendEvent, subscribe };
+}
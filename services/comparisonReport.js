@@ -0,0 +1,38 @@
+function escapeTableCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function intersect(lists) {
+    if (lists.length === 0) return [];
+    const [first, ...rest] = lists.map(list => list.map(item => item.toLowerCase()));
+    return lists[0].filter((item, index) => rest.every(list => list.includes(first[index])));
+}
+
+function tableRow(label, values) {
+    return `| ${label} | ${values.map(escapeTableCell).join(' | ')} |`;
+}
+
+export function renderComparisonReport(movieRecords, comparison) {
+    const headers = movieRecords.map(record => record.title);
+    const table = [
+        tableRow('', headers),
+        `|---|${headers.map(() => '---').join('|')}|`,
+        tableRow('**Year**', movieRecords.map(record => record.year || 'N/A')),
+        tableRow('**IMDb Rating**', movieRecords.map(record => (record.imdbRating !== null ? record.imdbRating.toFixed(1) : 'N/A'))),
+        tableRow('**Genre(s)**', movieRecords.map(record => record.genre.join(', ') || 'N/A')),
+        tableRow('**Main Cast**', movieRecords.map(record => record.mainCast.slice(0, 3).join(', ') || 'N/A')),
+        tableRow('**Theme**', movieRecords.map(record => record.theme || 'N/A')),
+    ].join('\n');
+
+    const sharedGenres = intersect(movieRecords.map(record => record.genre));
+    const sharedCast = intersect(movieRecords.map(record => record.mainCast));
+    const bulletList = (items, emptyText) => (items.length > 0 ? items.map(item => `- ${item}`).join('\n') : `_${emptyText}_`);
+
+    return `# Movie Comparison: ${headers.join(' vs ')}\n\n` +
+           `## At a Glance\n\n${table}\n\n` +
+           `**Shared genres:** ${sharedGenres.join(', ') || 'none'}  \n` +
+           `**Shared cast:** ${sharedCast.join(', ') || 'none'}\n\n` +
+           `## Shared Themes\n\n${bulletList(comparison.sharedThemes, 'No shared themes identified.')}\n\n` +
+           `## Contrasting Themes\n\n${bulletList(comparison.contrastingThemes, 'No contrasting themes identified.')}\n\n` +
+           `## Verdict\n\n${comparison.verdict}\n`;
+}
@@ -0,0 +1,107 @@
+import { createHash } from 'crypto';
+import { Embeddings } from '@langchain/core/embeddings';
+import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+import { OpenAIEmbeddings } from '@langchain/openai';
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'he', 'her', 'his', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'she', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was', 'who', 'with',
+    'about', 'after', 'into', 'movie', 'movies', 'film', 'films', 'when', 'while', 'where', 'which',
+]);
+
+function stem(token) {
+    return token
+        .replace(/(ies)$/, 'y')
+        .replace(/(ing|ed|ly|es|s)$/, '')
+        .replace(/(.)\1$/, '$1');
+}
+
+// Words in any script; Latin accents are dropped so "Amélie" and "amelie" share a token.
+export function tokenize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .toLowerCase()
+        .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(token => token.length > 2 && !STOP_WORDS.has(token))
+        .map(stem)
+        .filter(token => token.length > 2);
+}
+
+function hashToken(token, dimensions) {
+    const digest = createHash('md5').update(token).digest();
+    return { index: digest.readUInt32LE(0) % dimensions, sign: digest[4] & 1 ? 1 : -1 };
+}
+
+// Offline, deterministic embeddings: stemmed unigrams and bigrams are hashed into a fixed-size
+// vector with sublinear term frequency, then L2-normalized.
+export class HashingEmbeddings extends Embeddings {
+    constructor({ dimensions = 1024, ...params } = {}) {
+        super(params);
+        this.dimensions = dimensions;
+    }
+
+    embedText(text) {
+        const tokens = tokenize(text);
+        const features = [...tokens, ...tokens.slice(1).map((token, index) => `${tokens[index]}_${token}`)];
+        const counts = new Map();
+        features.forEach(feature => counts.set(feature, (counts.get(feature) || 0) + 1));
+
+        const vector = new Array(this.dimensions).fill(0);
+        for (const [feature, count] of counts) {
+            const { index, sign } = hashToken(feature, this.dimensions);
+            const weight = (1 + Math.log(count)) * (feature.includes('_') ? 0.5 : 1);
+            vector[index] += sign * weight;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+
+    async embedDocuments(documents) {
+        return documents.map(document => this.embedText(document));
+    }
+
+    async embedQuery(document) {
+        return this.embedText(document);
+    }
+}
+
+const DEFAULT_EMBEDDING_MODELS = {
+    // Bumped whenever tokenization changes, so existing indexes are re-embedded.
+    hashing: 'hashing-1024-v2',
+    gemini: 'text-embedding-004',
+    openai: 'text-embedding-3-small',
+};
+
+const embeddingProviders = new Map([
+    ['hashing', () => new HashingEmbeddings()],
+    ['gemini', ({ model }) => {
+        if (!process.env.GOOGLE_API_KEY) {
+            throw new Error('GOOGLE_API_KEY is not set in your .env file (required by the "gemini" embeddings provider).');
+        }
+        return new GoogleGenerativeAIEmbeddings({ apiKey: process.env.GOOGLE_API_KEY, model });
+    }],
+    ['openai', ({ model }) => new OpenAIEmbeddings({
+        model,
+        apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+        configuration: process.env.OPENAI_BASE_URL ? { baseURL: process.env.OPENAI_BASE_URL } : undefined,
+    })],
+]);
+
+export function registerEmbeddingsProvider(name, factory) {
+    embeddingProviders.set(name, factory);
+}
+
+export function listEmbeddingsProviders() {
+    return [...embeddingProviders.keys()];
+}
+
+export function createEmbeddings({ provider = process.env.EMBEDDINGS_PROVIDER || 'hashing', model = process.env.EMBEDDINGS_MODEL } = {}) {
+    const factory = embeddingProviders.get(provider);
+    if (!factory) {
+        throw new Error(`Unknown embeddings provider "${provider}". Available providers: ${listEmbeddingsProviders().join(', ')}.`);
+    }
+    const resolvedModel = model || DEFAULT_EMBEDDING_MODELS[provider] || provider;
+    return { embeddings: factory({ model: resolvedModel }), provider, model: resolvedModel };
+}
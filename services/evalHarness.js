@@ -0,0 +1,285 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
+import { createTitleRefinementAgent } from '../agents/titleRefinementAgent.js';
+import { createMovieDataAndThemeAgent } from '../agents/movieDataAndThemeAgent.js';
+import { normalizeTitleKey } from './titleListReader.js';
+import { promptHash } from './fakeChatModel.js';
+import { writeFileAtomic, escapeRegExp, leadingYear, splitList, messageContentText } from '../utils.js';
+
+export const DEFAULT_DATASETS_DIR = 'evals/datasets';
+export const DEFAULT_RECORDINGS_DIR = 'evals/recordings';
+export const DEFAULT_BASELINE_PATH = 'evals/baseline.json';
+
+function check(field, expected, actual, passed) {
+    return { field, expected, actual: actual ?? null, passed };
+}
+
+function sameTitle(expected, actual) {
+    return normalizeTitleKey(expected) === normalizeTitleKey(actual || '');
+}
+
+function includesAll(actualList, expectedList) {
+    const actual = actualList.map(item => item.toLowerCase());
+    return expectedList.every(item => actual.includes(item.toLowerCase()));
+}
+
+function outputProblemChecks(result, agentName) {
+    const checks = [];
+    if (result.transientFailure) {
+        checks.push(check('available', true, result.transientFailure.message, false));
+    }
+    if ((result.validationFailures || []).some(failure => failure.agent === agentName)) {
+        checks.push(check('validOutput', true, false, false));
+    }
+    return checks;
+}
+
+// One suite per agent under evaluation: how to build it, what to feed it and how to score its output.
+// Expected fields that a case leaves out are not checked.
+const EVAL_SUITES = {
+    titleRefinement: {
+        createAgent: (llm, { maxRetries }) => createTitleRefinementAgent(llm, { maxRetries }),
+        input: testCase => ({ raw_title: testCase.input }),
+        score(expected, result) {
+            const checks = outputProblemChecks(result, 'titleRefinement');
+            const uncertain = Boolean(result.titleIsUncertain);
+            if (expected.uncertain !== undefined) {
+                checks.push(check('uncertain', expected.uncertain, uncertain, uncertain === expected.uncertain));
+            }
+            if (expected.title !== undefined) {
+                // For ambiguous inputs the expected movie only has to be among the candidates.
+                const candidates = result.titleCandidates || [];
+                const passed = expected.uncertain
+                    ? candidates.some(candidate => sameTitle(expected.title, candidate.title))
+                    : sameTitle(expected.title, result.refinedTitle);
+                checks.push(check('title', expected.title, expected.uncertain ? candidates.map(candidate => candidate.title) : result.refinedTitle, passed));
+            }
+            if (expected.year !== undefined) {
+                const year = result.refinedYear ?? result.titleCandidates?.[0]?.year ?? null;
+                checks.push(check('year', expected.year, year, leadingYear(year) === leadingYear(expected.year)));
+            }
+            return checks;
+        },
+    },
+    movieData: {
+        // Evaluates the LLM lookup prompt; OMDb results are not under test.
+        createAgent: (llm, { maxRetries }) => createMovieDataAndThemeAgent(llm, { dataSource: 'llm', maxRetries, generateSummaries: false }),
+        input: testCase => ({
+            raw_title: testCase.input.title,
+            refinedTitle: testCase.input.title,
+            refinedYear: testCase.input.year ?? null,
+            titleIsUncertain: false,
+        }),
+        score(expected, result) {
+            const checks = outputProblemChecks(result, 'movieDataAndTheme');
+            const movie = result.movieDataFromOMDB || {};
+            const found = movie.Response === "True";
+            const expectFound = expected.found ?? true;
+            checks.push(check('found', expectFound, found, found === expectFound));
+            if (!expectFound || !found) return checks;
+
+            if (expected.title !== undefined) {
+                checks.push(check('title', expected.title, movie.title, sameTitle(expected.title, movie.title)));
+            }
+            if (expected.year !== undefined) {
+                checks.push(check('year', expected.year, movie.year, leadingYear(movie.year) === leadingYear(expected.year)));
+            }
+            if (expected.genres !== undefined) {
+                const genres = splitList(movie.genre);
+                checks.push(check('genres', expected.genres, genres, includesAll(genres, expected.genres)));
+            }
+            if (expected.cast !== undefined) {
+                const cast = splitList(movie.mainCast);
+                checks.push(check('cast', expected.cast, cast, includesAll(cast, expected.cast)));
+            }
+            return checks;
+        },
+    },
+};
+
+export function listEvalAgents() {
+    return Object.keys(EVAL_SUITES);
+}
+
+export async function loadEvalDataset(agentName, { datasetsDir = DEFAULT_DATASETS_DIR } = {}) {
+    const filePath = path.join(datasetsDir, `${agentName}.json`);
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const cases = Array.isArray(parsed) ? parsed : parsed.cases;
+    if (!Array.isArray(cases)) {
+        throw new Error(`Eval dataset "${filePath}" must contain an array or a { "cases": [...] } object.`);
+    }
+    const ids = new Set();
+    for (const testCase of cases) {
+        if (!testCase.id || testCase.input === undefined || !testCase.expected) {
+            throw new Error(`Eval dataset "${filePath}": every case needs an "id", an "input" and "expected" values.`);
+        }
+        if (ids.has(testCase.id)) {
+            throw new Error(`Eval dataset "${filePath}": duplicate case id "${testCase.id}".`);
+        }
+        ids.add(testCase.id);
+    }
+    return cases;
+}
+
+function summarizeChecks(caseResults) {
+    const fields = {};
+    for (const { checks } of caseResults) {
+        for (const { field, passed } of checks) {
+            fields[field] ??= { passed: 0, total: 0 };
+            fields[field].total++;
+            if (passed) fields[field].passed++;
+        }
+    }
+    return fields;
+}
+
+export async function runEvalSuite(agentName, llm, cases, { maxRetries, callbacks = [] } = {}) {
+    const suite = EVAL_SUITES[agentName];
+    if (!suite) {
+        throw new Error(`No eval suite for agent "${agentName}". Expected one of: ${listEvalAgents().join(', ')}.`);
+    }
+    const agent = suite.createAgent(llm, { maxRetries });
+    // Replay models note the recordings that no longer match the prompt; those cases are not scored.
+    const staleMatches = llm.model?.staleMatches || [];
+
+    const caseResults = [];
+    for (const testCase of cases) {
+        const startedAt = Date.now();
+        const staleBefore = staleMatches.length;
+        let checks;
+        let error = null;
+        try {
+            const result = await agent.invoke(suite.input(testCase), { callbacks });
+            checks = suite.score(testCase.expected, result);
+        } catch (caughtError) {
+            error = caughtError.message;
+            checks = [check('completed', true, false, false)];
+        }
+        const stale = staleMatches.length > staleBefore;
+        if (stale) {
+            error = 'the recorded response was made for a different prompt; record it again with --live --record';
+            checks = [check('recording', 'current', 'stale', false)];
+        }
+        caseResults.push({
+            id: testCase.id,
+            input: testCase.input,
+            tags: testCase.tags || [],
+            passed: checks.every(item => item.passed),
+            checks,
+            error,
+            stale,
+            durationMs: Date.now() - startedAt,
+        });
+    }
+
+    const passed = caseResults.filter(result => result.passed).length;
+    return {
+        agent: agentName,
+        total: caseResults.length,
+        passed,
+        accuracy: caseResults.length > 0 ? passed / caseResults.length : null,
+        fields: summarizeChecks(caseResults),
+        stale: caseResults.filter(result => result.stale).map(result => result.id),
+        cases: caseResults,
+    };
+}
+
+export async function readBaseline(baselinePath = DEFAULT_BASELINE_PATH) {
+    try {
+        return JSON.parse(await fs.readFile(baselinePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Could not read eval baseline "${baselinePath}": ${error.message}`);
+    }
+}
+
+export async function writeBaseline(report, baselinePath = DEFAULT_BASELINE_PATH) {
+    const baseline = {
+        createdAt: new Date().toISOString(),
+        mode: report.mode,
+        agents: Object.fromEntries(Object.entries(report.agents).map(([agentName, summary]) => [agentName, {
+            accuracy: summary.accuracy,
+            passed: summary.passed,
+            total: summary.total,
+            cases: Object.fromEntries(summary.cases.map(result => [result.id, result.passed])),
+        }])),
+    };
+    await writeFileAtomic(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+    return baseline;
+}
+
+// A regression is a case that passed in the baseline and fails now. Cases that are new since the
+// baseline, or that already failed there, are not regressions.
+export function compareWithBaseline(report, baseline) {
+    return Object.fromEntries(Object.entries(report.agents).map(([agentName, summary]) => {
+        const baselineAgent = baseline?.agents?.[agentName];
+        if (!baselineAgent) return [agentName, null];
+        const regressions = summary.cases.filter(result => baselineAgent.cases[result.id] === true && !result.passed).map(result => result.id);
+        const fixed = summary.cases.filter(result => baselineAgent.cases[result.id] === false && result.passed).map(result => result.id);
+        return [agentName, {
+            baselineAccuracy: baselineAgent.accuracy,
+            accuracyDelta: summary.accuracy !== null && baselineAgent.accuracy !== null ? summary.accuracy - baselineAgent.accuracy : null,
+            regressions,
+            fixed,
+        }];
+    }));
+}
+
+function firstHumanMessageText(messages) {
+    const human = messages.find(message => message._getType() === 'human');
+    return messageContentText(human?.content);
+}
+
+// Captures live responses as FakeReplayChatModel fixture entries, so a live run can be replayed offline.
+// Entries are found by the first human message; re-prompts share it and are stored as a response
+// sequence. Each response keeps the hash of the full prompt it answered, so replaying it after a
+// prompt change is reported as stale instead of scoring the old answer.
+export class ResponseRecorder extends BaseCallbackHandler {
+    name = 'response_recorder';
+
+    constructor(agentName) {
+        super({ _awaitHandler: true });
+        this.agentName = agentName;
+        this.prompts = new Map();
+        this.entries = new Map();
+    }
+
+    handleChatModelStart(llm, messages, runId) {
+        const promptMessages = messages[0] || [];
+        this.prompts.set(runId, { text: firstHumanMessageText(promptMessages), hash: promptHash(promptMessages) });
+    }
+
+    handleLLMEnd(output, runId) {
+        const prompt = this.prompts.get(runId);
+        if (prompt === undefined) return;
+        const recorded = this.entries.get(prompt.text) || { responses: [], hashes: [] };
+        recorded.responses.push(output.generations?.[0]?.[0]?.text ?? '');
+        recorded.hashes.push(prompt.hash);
+        this.entries.set(prompt.text, recorded);
+    }
+
+    toFixtureEntries() {
+        return [...this.entries].map(([promptText, { responses, hashes }]) => ({
+            agent: this.agentName,
+            matchRegex: `^${escapeRegExp(promptText)}$`,
+            promptHash: hashes.length === 1 ? hashes[0] : hashes,
+            response: responses.length === 1 ? responses[0] : responses,
+        }));
+    }
+}
+
+// New recordings replace earlier ones for the same prompt; recordings of other prompts are kept.
+export async function saveRecordings(agentName, entries, { recordingsDir = DEFAULT_RECORDINGS_DIR } = {}) {
+    const filePath = path.join(recordingsDir, `${agentName}.json`);
+    let existing = { description: `Recorded ${agentName} responses for the offline eval suite.`, responses: [] };
+    try {
+        existing = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    const recorded = new Set(entries.map(entry => entry.matchRegex));
+    const responses = [...existing.responses.filter(entry => !recorded.has(entry.matchRegex)), ...entries];
+    await writeFileAtomic(filePath, JSON.stringify({ ...existing, responses }, null, 2) + '\n');
+    return filePath;
+}
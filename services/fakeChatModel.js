@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models';
+import { sleep, messageContentText } from '../utils.js';
+
+// Fingerprint of everything the model was sent (system prompt, instructions, re-prompts), so a
+// recording can tell that the prompt it was made for has changed since.
+export function promptHash(messages) {
+    const parts = messages.map(message => [message._getType(), messageContentText(message.content)]);
+    return createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+}
+
+export function loadFixtureEntries(fixturesPath) {
+    const stats = fs.statSync(fixturesPath);
+    const files = stats.isDirectory()
+        ? fs.readdirSync(fixturesPath).filter(file => file.endsWith('.json')).sort().map(file => path.join(fixturesPath, file))
+        : [fixturesPath];
+
+    return files.flatMap(file => {
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const entries = Array.isArray(parsed) ? parsed : parsed.responses;
+        if (!Array.isArray(entries)) {
+            throw new Error(`Fixture file "${file}" must contain an array or a { "responses": [...] } object.`);
+        }
+        return entries;
+    });
+}
+
+// Builds an error shaped like the provider SDKs' HTTP errors so the resilience wrapper classifies it the same way.
+function injectedError({ status = 503, message, retryAfterSeconds } = {}) {
+    const error = new Error(message || `[${status}] Injected failure from FakeReplayChatModel`);
+    error.status = status;
+    if (retryAfterSeconds !== undefined) {
+        error.headers = { 'retry-after': String(retryAfterSeconds) };
+    }
+    return error;
+}
+
+function entryMatches(entry, agentName, promptText) {
+    if (entry.agent && entry.agent !== agentName) return false;
+    if (entry.matchRegex) return new RegExp(entry.matchRegex, 'i').test(promptText);
+    if (entry.match) return promptText.toLowerCase().includes(entry.match.toLowerCase());
+    return true;
+}
+
+// Entries are matched in order against the first human message of the prompt. An entry whose
+// "response" is an array serves one element per call (e.g. for re-prompts), repeating the last one.
+// A served element may also be { "error": { "status", "message", "retryAfterSeconds" } } to inject a
+// failure, or { "delayMs", "response" } to answer slowly (e.g. to exercise timeouts).
+// Recorded entries also carry "promptHash" (one per served element for a sequence): a match whose
+// full prompt no longer hashes the same is a stale recording and fails instead of being replayed.
+export class FakeReplayChatModel extends SimpleChatModel {
+    constructor({ fixturesPath, agentName, entries, model = 'fake-replay', ...fields } = {}) {
+        super(fields);
+        this.agentName = agentName;
+        this.model = model;
+        this.entries = entries || loadFixtureEntries(fixturesPath);
+        this.callCounts = new Map();
+        this.staleMatches = [];
+    }
+
+    _llmType() {
+        return 'fake-replay';
+    }
+
+    getLsParams(options) {
+        return { ...super.getLsParams(options), ls_provider: 'fake', ls_model_name: this.model };
+    }
+
+    async _call(messages, options) {
+        const humanMessages = messages.filter(message => message._getType() === 'human');
+        const promptText = messageContentText((humanMessages[0] || messages[messages.length - 1]).content);
+        const entryIndex = this.entries.findIndex(entry => entryMatches(entry, this.agentName, promptText));
+
+        if (entryIndex === -1) {
+            throw new Error(`FakeReplayChatModel: no fixture for agent "${this.agentName}" matches prompt: ${promptText.slice(0, 200)}`);
+        }
+
+        const entry = this.entries[entryIndex];
+        let served = entry.response;
+        let expectedHash = entry.promptHash;
+        if (Array.isArray(entry.response)) {
+            const callCount = this.callCounts.get(entryIndex) || 0;
+            this.callCounts.set(entryIndex, callCount + 1);
+            served = entry.response[Math.min(callCount, entry.response.length - 1)];
+            if (Array.isArray(expectedHash)) expectedHash = expectedHash[Math.min(callCount, expectedHash.length - 1)];
+        }
+
+        if (expectedHash && expectedHash !== promptHash(messages)) {
+            this.staleMatches.push(promptText);
+            throw new Error(`FakeReplayChatModel: the fixture for agent "${this.agentName}" matching "${promptText.slice(0, 200)}" was recorded for a different prompt; record it again.`);
+        }
+        return this.serve(served, options?.signal);
+    }
+
+    async serve(served, signal) {
+        if (typeof served === 'string') return served;
+        if (served?.delayMs) await sleep(served.delayMs, signal);
+        if (served?.error) throw injectedError(served.error);
+        return served?.response ?? '';
+    }
+}
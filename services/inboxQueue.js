@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { writeFileAtomic, sanitizeFilename, fileExists } from '../utils.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_INBOX_DIR = process.env.MOVIE_INBOX_DIR || 'movie_inbox';
+const PROCESSING_DIR = 'processing';
+const DONE_DIR = 'done';
+const FAILED_DIR = 'failed';
+const RESULT_SUFFIX = '.result.json';
+const QUEUE_CURSOR_FILENAME = '.queue_cursor.json';
+
+async function listFiles(dir) {
+    try {
+        const dirents = await fs.readdir(dir, { withFileTypes: true });
+        return dirents.filter(dirent => dirent.isFile()).map(dirent => dirent.name).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// Dotfiles and *.tmp are files still being written (writers should create them under such a name
+// and rename them into place); result files only ever live next to their request.
+function isRequestFile(name) {
+    return !name.startsWith('.') && !name.endsWith('.tmp') && !name.endsWith(RESULT_SUFFIX);
+}
+
+// One request per file: a JSON object (or string) in *.json files, otherwise the first
+// non-empty, non-comment line is the title.
+export function parseRequestFile(fileName, text) {
+    if (path.extname(fileName).toLowerCase() === '.json') {
+        const parsed = JSON.parse(text);
+        return typeof parsed === 'string' ? { title: parsed } : parsed;
+    }
+    const title = text.split(/\r?\n/).map(line => line.trim()).find(line => line && !line.startsWith('#'));
+    return { title: title ?? '' };
+}
+
+// Bookkeeping for the watch-folder worker. Every request is a file that moves
+//   inbox/ -> inbox/processing/ -> inbox/done/ | inbox/failed/
+// Claiming is an atomic rename, so a request is picked up once even with several workers. The
+// result is written next to the claimed file before it moves on; after a crash, claimed files with
+// a result are only moved, and claimed files without one are processed again.
+export function createInboxQueue({ inboxDir = DEFAULT_INBOX_DIR, queueFile } = {}) {
+    const dirs = {
+        processing: path.join(inboxDir, PROCESSING_DIR),
+        done: path.join(inboxDir, DONE_DIR),
+        failed: path.join(inboxDir, FAILED_DIR),
+    };
+    const cursorPath = path.join(inboxDir, QUEUE_CURSOR_FILENAME);
+
+    async function init() {
+        await Promise.all(Object.values(dirs).map(dir => fs.mkdir(dir, { recursive: true })));
+    }
+
+    async function isProcessed(name) {
+        for (const dir of Object.values(dirs)) {
+            if (await fileExists(path.join(dir, name))) return true;
+        }
+        return false;
+    }
+
+    async function readItem(name) {
+        const filePath = path.join(dirs.processing, name);
+        return { id: name, filePath, text: await fs.readFile(filePath, 'utf8') };
+    }
+
+    // Claimed files left behind by an interrupted run: finish the ones that have a result, return the rest.
+    async function recover() {
+        const pending = [];
+        for (const name of (await listFiles(dirs.processing)).filter(isRequestFile)) {
+            const resultPath = path.join(dirs.processing, name + RESULT_SUFFIX);
+            if (await fileExists(resultPath)) {
+                const result = JSON.parse(await fs.readFile(resultPath, 'utf8'));
+                await moveToOutcome(name, result);
+                logger.info(`  [Inbox] Finished moving "${name}" (${result.status}) after a restart.`);
+            } else {
+                pending.push(await readItem(name));
+            }
+        }
+        return pending;
+    }
+
+    async function claimNext() {
+        for (const name of (await listFiles(inboxDir)).filter(isRequestFile)) {
+            // A name that was processed before gets a timestamp, so dropping "inception.txt" twice works.
+            const claimedName = await isProcessed(name) ? `${Date.now()}-${name}` : name;
+            try {
+                await fs.rename(path.join(inboxDir, name), path.join(dirs.processing, claimedName));
+            } catch (error) {
+                if (error.code === 'ENOENT') continue; // claimed by another worker
+                throw error;
+            }
+            return readItem(claimedName);
+        }
+        return null;
+    }
+
+    async function moveToOutcome(name, result) {
+        const targetDir = result.status === 'written' ? dirs.done : dirs.failed;
+        await writeFileAtomic(path.join(targetDir, name + RESULT_SUFFIX), JSON.stringify(result, null, 2) + '\n');
+        await fs.rename(path.join(dirs.processing, name), path.join(targetDir, name));
+        await fs.rm(path.join(dirs.processing, name + RESULT_SUFFIX), { force: true });
+        return path.join(targetDir, name);
+    }
+
+    async function complete(item, result) {
+        await writeFileAtomic(path.join(dirs.processing, item.id + RESULT_SUFFIX), JSON.stringify(result, null, 2) + '\n');
+        return moveToOutcome(item.id, result);
+    }
+
+    async function readCursor() {
+        try {
+            const cursor = JSON.parse(await fs.readFile(cursorPath, 'utf8'));
+            if (cursor.queueFile === path.resolve(queueFile)) return { generation: 0, ...cursor };
+        } catch (error) {
+            if (error.code !== 'ENOENT') logger.warn(`  [Inbox] Ignoring unreadable queue cursor "${cursorPath}": ${error.message}`);
+        }
+        return { offset: 0, generation: 0 };
+    }
+
+    // The bytes read so far identify the file: a queue file that was replaced (new inode), cut
+    // short or rewritten is a new generation, read from the start.
+    function headHash(content, length) {
+        return createHash('sha256').update(content.subarray(0, length)).digest('hex');
+    }
+
+    function isSameFile(cursor, content, stats) {
+        if (cursor.offset === 0) return true;
+        if (cursor.ino !== undefined && cursor.ino !== stats.ino) return false;
+        if (cursor.offset > content.length) return false;
+        return cursor.headLength === undefined || headHash(content, cursor.headLength) === cursor.headHash;
+    }
+
+    // Copies new lines of the append-only JSONL queue into the inbox as request files named after
+    // the line: its "id" field, or else a hash of its text and position in this generation of the
+    // file, so the lines of a rotated queue file never pass for ones processed before. The cursor
+    // only saves work: a line whose request file already exists anywhere in the inbox is never
+    // queued twice.
+    async function pullQueueFile() {
+        if (!queueFile) return 0;
+        let content;
+        let stats;
+        try {
+            [content, stats] = await Promise.all([fs.readFile(queueFile), fs.stat(queueFile)]);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        const cursor = await readCursor();
+        let { offset, generation } = cursor;
+        if (!isSameFile(cursor, content, stats)) {
+            logger.warn(`  [Inbox] Queue file "${queueFile}" was replaced or rewritten; reading it from the start.`);
+            offset = 0;
+            generation++;
+        }
+
+        let queued = 0;
+        while (offset < content.length) {
+            const newline = content.indexOf(0x0a, offset);
+            if (newline === -1) break; // the last line is still being written
+            const line = content.subarray(offset, newline).toString('utf8').trim();
+            const lineOffset = offset;
+            offset = newline + 1;
+            if (!line) continue;
+
+            let request;
+            try {
+                request = JSON.parse(line);
+            } catch {
+                request = line;
+            }
+            const id = request && typeof request === 'object' && request.id
+                ? sanitizeFilename(String(request.id))
+                : `line-${createHash('sha256').update(`${generation}:${lineOffset}:${line}`).digest('hex').slice(0, 16)}`;
+            const name = `queue-${id}.json`;
+            if (await fileExists(path.join(inboxDir, name)) || await isProcessed(name)) continue;
+            await writeFileAtomic(path.join(inboxDir, name), JSON.stringify(request, null, 2) + '\n');
+            queued++;
+        }
+        const headLength = Math.min(offset, 4096);
+        await writeFileAtomic(cursorPath, JSON.stringify({
+            queueFile: path.resolve(queueFile),
+            offset,
+            generation,
+            ino: stats.ino,
+            headLength,
+            headHash: headHash(content, headLength),
+        }) + '\n');
+        return queued;
+    }
+
+    return { inboxDir, queueFile, dirs, init, recover, claimNext, complete, pullQueueFile };
+}
@@ -0,0 +1,212 @@
+import { logger } from './logger.js';
+import { sleep } from '../utils.js';
+
+export const DEFAULT_LLM_RETRY_OPTIONS = {
+    maxAttempts: Number(process.env.LLM_MAX_ATTEMPTS || 4),
+    baseDelayMs: Number(process.env.LLM_RETRY_BASE_MS || 1000),
+    maxDelayMs: Number(process.env.LLM_RETRY_MAX_MS || 30000),
+    circuitThreshold: Number(process.env.LLM_CIRCUIT_THRESHOLD || 5),
+    circuitCooldownMs: Number(process.env.LLM_CIRCUIT_COOLDOWN_MS || 60000),
+};
+
+// Raised once a call has failed for a reason that says nothing about the movie itself: rate
+// limits/quota, provider outages, timeouts or an open circuit breaker. Retrying later may succeed.
+export class TransientError extends Error {
+    constructor(message, { code, attempts, retryAfterMs, cause } = {}) {
+        super(message, { cause });
+        this.name = 'TransientError';
+        this.code = code;
+        this.attempts = attempts;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+class LlmTimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`LLM call timed out after ${timeoutMs} ms`);
+        this.name = 'LlmTimeoutError';
+    }
+}
+
+function errorStatus(error) {
+    const status = error.status ?? error.statusCode ?? error.response?.status;
+    if (status) return Number(status);
+    const match = String(error.message || '').match(/\[(\d{3})[^\]]*\]|\b(429|500|502|503|504)\b/);
+    return match ? Number(match[1] || match[2]) : null;
+}
+
+function headerValue(headers, name) {
+    if (!headers) return undefined;
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? headers[name.toLowerCase()];
+}
+
+// Retry-After may come as an HTTP header (seconds or a date), as Gemini's RetryInfo detail
+// ("retryDelay": "37s") or only inside the error message ("Please retry in 37.2s").
+export function retryAfterMsFromError(error, now = Date.now()) {
+    const header = headerValue(error.headers, 'retry-after') ?? headerValue(error.response?.headers, 'retry-after');
+    if (header !== undefined && header !== null) {
+        const seconds = Number(header);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) return Math.max(0, date - now);
+    }
+    const retryInfo = (error.errorDetails || []).find(detail => detail?.retryDelay);
+    const text = retryInfo ? `retryDelay ${retryInfo.retryDelay}` : String(error.message || '');
+    const match = text.match(/(?:retryDelay"?:?\s*"?|retry in\s+)(\d+(?:\.\d+)?)s/i);
+    return match ? Math.round(Number(match[1]) * 1000) : undefined;
+}
+
+const TIMEOUT_ERROR_NAMES = ['TimeoutError', 'AbortError'];
+
+export function classifyLlmError(error) {
+    if (error instanceof TransientError) {
+        return { transient: true, code: error.code, retryable: false };
+    }
+    // Judged by name or code only: a 400 whose message mentions "timeout" is still a 400.
+    if (error instanceof LlmTimeoutError || TIMEOUT_ERROR_NAMES.includes(error.name) || [error.code, error.cause?.code].includes('ETIMEDOUT')) {
+        return { transient: true, code: 'timeout', retryable: true };
+    }
+    const status = errorStatus(error);
+    if (status === 429 || /RESOURCE_EXHAUSTED|quota|rate.?limit|too many requests/i.test(error.message || '')) {
+        return { transient: true, code: 'rate_limited', retryable: true, quota: true, retryAfterMs: retryAfterMsFromError(error) };
+    }
+    if ([500, 502, 503, 504].includes(status) || /UNAVAILABLE|overloaded|ECONNRESET|ECONNREFUSED|EAI_AGAIN|socket hang up|fetch failed/i.test(error.message || '')) {
+        return { transient: true, code: 'unavailable', retryable: true, retryAfterMs: retryAfterMsFromError(error) };
+    }
+    return { transient: false };
+}
+
+export function backoffDelayMs(attempt, { baseDelayMs, maxDelayMs, retryAfterMs, random = Math.random }) {
+    // "Full jitter": a random delay up to the exponential cap, but never sooner than the provider asked for.
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    const jittered = Math.round(random() * exponential);
+    return retryAfterMs !== undefined ? Math.max(jittered, retryAfterMs) : jittered;
+}
+
+export function createCircuitBreaker({ threshold = DEFAULT_LLM_RETRY_OPTIONS.circuitThreshold, cooldownMs = DEFAULT_LLM_RETRY_OPTIONS.circuitCooldownMs, now = Date.now } = {}) {
+    let consecutiveQuotaFailures = 0;
+    let openedAt = null;
+
+    return {
+        // While open, calls fail fast; after the cooldown one trial call is let through (half-open).
+        check() {
+            if (openedAt === null) return null;
+            const remainingMs = openedAt + cooldownMs - now();
+            if (remainingMs > 0) return remainingMs;
+            openedAt = null;
+            consecutiveQuotaFailures = threshold - 1;
+            return null;
+        },
+        recordSuccess() {
+            consecutiveQuotaFailures = 0;
+            openedAt = null;
+        },
+        recordQuotaFailure() {
+            consecutiveQuotaFailures++;
+            if (threshold > 0 && consecutiveQuotaFailures >= threshold && openedAt === null) {
+                openedAt = now();
+                logger.warn(`  [LLM] ${consecutiveQuotaFailures} consecutive quota errors; pausing calls for ${Math.round(cooldownMs / 1000)}s.`);
+            }
+        },
+        get state() {
+            return openedAt === null ? 'closed' : 'open';
+        },
+    };
+}
+
+// Quota is per API key, so every agent talking to the same provider shares one breaker.
+const circuitBreakers = new Map();
+
+export function getCircuitBreaker(key, options) {
+    if (!circuitBreakers.has(key)) {
+        circuitBreakers.set(key, createCircuitBreaker(options));
+    }
+    return circuitBreakers.get(key);
+}
+
+async function invokeWithTimeout(llm, messages, config, timeoutMs) {
+    if (!timeoutMs || timeoutMs <= 0) {
+        return llm.invoke(messages, config);
+    }
+    const controller = new AbortController();
+    const signal = config?.signal ? AbortSignal.any([config.signal, controller.signal]) : controller.signal;
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new LlmTimeoutError(timeoutMs);
+            controller.abort(error);
+            reject(error);
+        }, timeoutMs);
+    });
+    try {
+        return await Promise.race([llm.invoke(messages, { ...config, signal }), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Wraps a chat model so each invoke gets a timeout, retries transient failures with exponential
+// backoff and jitter (honouring Retry-After), and fails fast while the provider's circuit is open.
+// Anything that is not transient (bad request, auth, ...) is rethrown untouched on the first attempt.
+export function createResilientLlm(llm, {
+    name = 'LLM',
+    timeoutMs,
+    maxAttempts = DEFAULT_LLM_RETRY_OPTIONS.maxAttempts,
+    baseDelayMs = DEFAULT_LLM_RETRY_OPTIONS.baseDelayMs,
+    maxDelayMs = DEFAULT_LLM_RETRY_OPTIONS.maxDelayMs,
+    circuitBreaker = createCircuitBreaker(),
+    random = Math.random,
+    wait = sleep,
+} = {}) {
+    async function invoke(messages, config) {
+        let lastError;
+        let lastClassification;
+        let attempts = 0;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const openForMs = circuitBreaker.check();
+            if (openForMs !== null) {
+                throw new TransientError(`${name}: circuit open after repeated quota errors; retry in ${Math.ceil(openForMs / 1000)}s`, {
+                    code: 'circuit_open',
+                    attempts: attempt - 1,
+                    retryAfterMs: openForMs,
+                    cause: lastError,
+                });
+            }
+
+            attempts = attempt;
+            try {
+                const response = await invokeWithTimeout(llm, messages, {
+                    ...config,
+                    metadata: { ...config?.metadata, llmAttempt: attempt },
+                }, timeoutMs);
+                circuitBreaker.recordSuccess();
+                return response;
+            } catch (error) {
+                if (config?.signal?.aborted) throw error;
+                const classification = classifyLlmError(error);
+                if (!classification.transient) throw error;
+                if (classification.quota) circuitBreaker.recordQuotaFailure();
+                lastError = error;
+                lastClassification = classification;
+                if (!classification.retryable || attempt === maxAttempts) break;
+                // A provider asking us to come back later than we are willing to wait (e.g. a daily quota) ends the call now.
+                if (classification.retryAfterMs > maxDelayMs) break;
+                if (circuitBreaker.state === 'open') continue;
+
+                const delayMs = backoffDelayMs(attempt, { baseDelayMs, maxDelayMs, retryAfterMs: classification.retryAfterMs, random });
+                logger.warn(`  [${name}] ${classification.code} (${error.message}); retrying in ${delayMs} ms (attempt ${attempt + 1}/${maxAttempts})`);
+                await wait(delayMs, config?.signal);
+            }
+        }
+
+        if (lastError instanceof TransientError) throw lastError;
+        throw new TransientError(`${name}: ${lastClassification.code.replace('_', ' ')} after ${attempts} attempt(s): ${lastError.message}`, {
+            code: lastClassification.code,
+            attempts,
+            retryAfterMs: lastClassification.retryAfterMs,
+            cause: lastError,
+        });
+    }
+
+    return { invoke, model: llm };
+}
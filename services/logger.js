@@ -0,0 +1,27 @@
+// Progress output for the pipeline. Command results (query tables, JSON, reports) are printed
+// directly; everything the agents and services narrate goes through here so --quiet/--verbose apply.
+export const LOG_LEVELS = ['quiet', 'normal', 'verbose'];
+
+let currentLevel = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'normal';
+
+export function setLogLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Unknown log level "${level}". Expected one of: ${LOG_LEVELS.join(', ')}.`);
+    }
+    currentLevel = level;
+}
+
+export function getLogLevel() {
+    return currentLevel;
+}
+
+function isEnabled(level) {
+    return LOG_LEVELS.indexOf(currentLevel) >= LOG_LEVELS.indexOf(level);
+}
+
+export const logger = {
+    error: (...args) => console.error(...args),
+    warn: (...args) => isEnabled('normal') && console.warn(...args),
+    info: (...args) => isEnabled('normal') && console.log(...args),
+    debug: (...args) => isEnabled('verbose') && console.log(...args),
+};
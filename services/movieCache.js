@@ -0,0 +1,150 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { normalizeTitleKey } from './titleListReader.js';
+import { writeFileAtomic, runExclusive } from '../utils.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_CACHE_PATH = process.env.MOVIE_CACHE_PATH || '.movie_cache/movie_cache.json';
+export const DEFAULT_CACHE_TTL_MS = Number(process.env.MOVIE_CACHE_TTL_HOURS || 24 * 7) * 60 * 60 * 1000;
+// Version 2 added the data source to movie keys; older files are started afresh.
+const CACHE_VERSION = 2;
+
+const CACHE_SECTIONS = ['titles', 'movies', 'localizations'];
+
+function emptyCacheData() {
+    return { version: CACHE_VERSION, titles: {}, movies: {}, localizations: {} };
+}
+
+// Null when the title has no usable key; such lookups always miss and are never stored, so
+// unrelated titles cannot end up sharing an entry. Records from OMDb and LLM-simulated ones are
+// kept apart, so asking for OMDb data never returns a record the LLM made up.
+export function movieCacheKey(title, year, dataSource) {
+    const titleKey = normalizeTitleKey(title ?? '');
+    return titleKey ? `${titleKey}|${year || ''}|${dataSource || ''}` : null;
+}
+
+function localizationCacheKey(title, year, dataSource, language) {
+    const movieKey = movieCacheKey(title, year, dataSource);
+    return movieKey ? `${movieKey}|${language}` : null;
+}
+
+export function createMovieCache({ filePath = DEFAULT_CACHE_PATH, ttlMs = DEFAULT_CACHE_TTL_MS, now = Date.now } = {}) {
+    let data = null;
+    let loadedMtimeMs = null;
+
+    async function readCacheFile() {
+        try {
+            const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            return parsed.version === CACHE_VERSION ? { ...emptyCacheData(), ...parsed } : emptyCacheData();
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`  [MovieCache] Ignoring unreadable cache file "${filePath}": ${error.message}`);
+            }
+            return emptyCacheData();
+        }
+    }
+
+    async function fileMtimeMs() {
+        try {
+            return (await fs.stat(filePath)).mtimeMs;
+        } catch {
+            return null;
+        }
+    }
+
+    // Reloads whenever another process (serve, watch, a CLI run) has written the file since.
+    async function load() {
+        const mtimeMs = await fileMtimeMs();
+        if (data && mtimeMs === loadedMtimeMs) return data;
+        data = await readCacheFile();
+        loadedMtimeMs = mtimeMs;
+        return data;
+    }
+
+    // Every change is applied to a fresh read of the file rather than to the copy in memory, so
+    // processes sharing the cache keep each other's entries. Changes in this process run in order.
+    function update(change) {
+        return runExclusive(path.resolve(filePath), async () => {
+            const fresh = await readCacheFile();
+            const result = change(fresh);
+            await writeFileAtomic(filePath, JSON.stringify(fresh, null, 2));
+            data = fresh;
+            loadedMtimeMs = await fileMtimeMs();
+            return result;
+        });
+    }
+
+    // The cache only saves LLM and OMDb calls, so a run whose data is already fetched must not fail
+    // because the cache file cannot be written.
+    async function storeEntry(section, key, entry) {
+        if (!key) return;
+        try {
+            await update(cacheData => {
+                cacheData[section][key] = entry;
+            });
+        } catch (error) {
+            logger.warn(`  [MovieCache] Could not write cache file "${filePath}": ${error.message}`);
+        }
+    }
+
+    async function readEntry(section, key) {
+        if (!key) return null;
+        const entry = (await load())[section][key];
+        return isExpired(entry) ? null : entry.value;
+    }
+
+    function isExpired(entry) {
+        return !entry || now() - entry.storedAt > ttlMs;
+    }
+
+    function getRefinedTitle(rawTitle) {
+        return readEntry('titles', normalizeTitleKey(rawTitle ?? ''));
+    }
+
+    function setRefinedTitle(rawTitle, value) {
+        return storeEntry('titles', normalizeTitleKey(rawTitle ?? ''), { rawTitle, value, storedAt: now() });
+    }
+
+    function getMovie(refinedTitle, refinedYear, dataSource) {
+        return readEntry('movies', movieCacheKey(refinedTitle, refinedYear, dataSource));
+    }
+
+    function setMovie(refinedTitle, refinedYear, dataSource, value) {
+        return storeEntry('movies', movieCacheKey(refinedTitle, refinedYear, dataSource), { refinedTitle, refinedYear: refinedYear || null, dataSource, value, storedAt: now() });
+    }
+
+    function getLocalization(refinedTitle, refinedYear, dataSource, language) {
+        return readEntry('localizations', localizationCacheKey(refinedTitle, refinedYear, dataSource, language));
+    }
+
+    function setLocalization(refinedTitle, refinedYear, dataSource, language, value) {
+        return storeEntry('localizations', localizationCacheKey(refinedTitle, refinedYear, dataSource, language), { refinedTitle, refinedYear: refinedYear || null, dataSource, language, value, storedAt: now() });
+    }
+
+    async function list() {
+        const cacheData = await load();
+        const describe = (key, entry) => ({ key, storedAt: new Date(entry.storedAt).toISOString(), expired: isExpired(entry) });
+        return {
+            titles: Object.entries(cacheData.titles).map(([key, entry]) => ({ ...describe(key, entry), rawTitle: entry.rawTitle, refinedTitle: entry.value.refinedTitle, refinedYear: entry.value.refinedYear })),
+            movies: Object.entries(cacheData.movies).map(([key, entry]) => ({ ...describe(key, entry), title: entry.value.movieDataFromOMDB?.title, year: entry.value.movieDataFromOMDB?.year, dataSource: entry.dataSource })),
+            localizations: Object.entries(cacheData.localizations).map(([key, entry]) => ({ ...describe(key, entry), refinedTitle: entry.refinedTitle, refinedYear: entry.refinedYear, language: entry.language })),
+        };
+    }
+
+    function clear({ expiredOnly = false } = {}) {
+        return update(cacheData => {
+            let removed = 0;
+            for (const section of CACHE_SECTIONS) {
+                for (const [key, entry] of Object.entries(cacheData[section])) {
+                    if (!expiredOnly || isExpired(entry)) {
+                        delete cacheData[section][key];
+                        removed++;
+                    }
+                }
+            }
+            return removed;
+        });
+    }
+
+    return { filePath, ttlMs, getRefinedTitle, setRefinedTitle, getMovie, setMovie, getLocalization, setLocalization, list, clear };
+}
@@ -0,0 +1,280 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { buildMovieRecord, SUMMARY_TIERS } from '../renderers/index.js';
+import { allLabelsFor, listLanguages, DEFAULT_LANGUAGE } from '../renderers/labels.js';
+import { writeFileAtomic, runExclusive, escapeRegExp, leadingYear } from '../utils.js';
+import { logger } from './logger.js';
+
+export const LIBRARY_INDEX_FILENAME = '.index.json';
+const LIBRARY_INDEX_VERSION = 1;
+const MOVIE_FILE_EXTENSIONS = ['.txt', '.json', '.md', '.html'];
+
+const LABEL_FIELDS = {
+    imdbRating: 'imdbRating',
+    mainCast: 'mainCast',
+    genre: 'genre',
+    movieTheme: 'theme',
+    plotSummary: 'plotSummary',
+    logline: 'logline',
+    synopsis: 'synopsis',
+    fullSummary: 'full',
+    language: 'language',
+};
+
+// Section labels of every output language, lowercased, mapped to record fields.
+const TXT_SECTION_FIELDS = {
+    'genre': 'genre',
+    ...Object.fromEntries(Object.entries(LABEL_FIELDS).flatMap(([labelKey, field]) =>
+        allLabelsFor(labelKey).map(({ label }) => [label.toLowerCase(), field]))),
+};
+const TITLE_LABELS = allLabelsFor('movieTitle');
+const SPOILER_LABELS = allLabelsFor('spoilers').map(({ label }) => label.toLowerCase());
+
+const TXT_HEADER_PATTERN = new RegExp(`^(${TITLE_LABELS.map(({ label }) => escapeRegExp(label)).join('|')}):\\s*(.*)$`);
+
+// "Language:" lines hold "हिन्दी (hi)"; older files have none and are English.
+function languageCode(value) {
+    const match = String(value || '').match(/\(([a-z]{2,3})\)\s*$/);
+    const code = match ? match[1] : String(value || '').trim();
+    return listLanguages().includes(code) ? code : DEFAULT_LANGUAGE;
+}
+
+function parseHeading(heading) {
+    const match = heading.match(/^(.*)\s+\(([^()]*)\)\s*$/);
+    return match ? { title: match[1].trim(), year: match[2].trim() } : { title: heading.trim(), year: null };
+}
+
+// Summary tier texts are written as "[Spoilers] ..." when they reveal the ending.
+function parseSummaryTier(text) {
+    const marker = String(text).match(/^\[([^\]]+)\]\s*(.*)$/s);
+    return marker && SPOILER_LABELS.includes(marker[1].trim().toLowerCase())
+        ? { text: marker[2].trim(), containsSpoilers: true }
+        : { text: String(text).trim(), containsSpoilers: false };
+}
+
+function plotSummariesFromFields(fields) {
+    const tiers = SUMMARY_TIERS.filter(tier => fields[tier]);
+    return tiers.length > 0 ? Object.fromEntries(tiers.map(tier => [tier, parseSummaryTier(fields[tier])])) : null;
+}
+
+function recordFromFields(fields) {
+    const plotSummaries = fields.plotSummaries || plotSummariesFromFields(fields);
+    return buildMovieRecord({
+        movieDataFromOMDB: {
+            title: fields.title,
+            year: fields.year,
+            imdbID: fields.imdbID,
+            imdbRating: fields.imdbRating,
+            mainCast: fields.mainCast,
+            genre: fields.genre,
+            // Files with summary tiers have no plain plot section; the most detailed tier stands in for it.
+            plotSummary: fields.plotSummary || [...SUMMARY_TIERS].reverse().map(tier => plotSummaries?.[tier]?.text).find(Boolean),
+            dataSource: fields.dataSource,
+        },
+        generatedTheme: fields.theme,
+        plotSummaries,
+        outputLanguage: languageCode(fields.language),
+    });
+}
+
+function parseTxt(content) {
+    const lines = content.split(/\r?\n/);
+    const header = lines[0]?.match(TXT_HEADER_PATTERN);
+    if (!header) return null;
+
+    const fields = parseHeading(header[2]);
+    let currentField = null;
+    for (const line of lines.slice(1)) {
+        if (line.startsWith('--- ')) break;
+        const label = line.match(/^([^:]+):\s*(.*)$/);
+        if (label && !line.startsWith(' ')) {
+            currentField = TXT_SECTION_FIELDS[label[1].trim().toLowerCase()] || null;
+            if (currentField && label[2]) fields[currentField] = label[2].trim();
+        } else if (currentField && line.trim()) {
+            fields[currentField] = fields[currentField] ? `${fields[currentField]} ${line.trim()}` : line.trim();
+        }
+    }
+    return recordFromFields(fields);
+}
+
+function parseMarkdown(content) {
+    const header = content.match(/^#\s+(.*)$/m);
+    if (!header) return null;
+
+    const fields = parseHeading(header[1]);
+    for (const match of content.matchAll(/^- \*\*(.+?):\*\*\s*(.*)$/gm)) {
+        const field = TXT_SECTION_FIELDS[match[1].trim().toLowerCase()];
+        if (field) fields[field] = match[2].trim();
+    }
+    for (const match of content.matchAll(/^##\s+(.+)\n+([\s\S]*?)(?=\n##\s|$(?![\s\S]))/gm)) {
+        const field = TXT_SECTION_FIELDS[match[1].trim().toLowerCase()];
+        if (field) fields[field] = match[2].trim();
+    }
+    return recordFromFields(fields);
+}
+
+function recordFromJsonDocument(document) {
+    if (!document || typeof document !== 'object' || !document.title) return null;
+    const joinList = value => (Array.isArray(value) ? value.join(', ') : value);
+    return recordFromFields({
+        ...document,
+        plotSummaries: document.summaries,
+        mainCast: joinList(document.mainCast),
+        genre: joinList(document.genre),
+    });
+}
+
+function parseJson(content) {
+    return recordFromJsonDocument(JSON.parse(content));
+}
+
+function parseHtml(content) {
+    const embedded = content.match(/<script type="application\/json" id="movie-data">([\s\S]*?)<\/script>/);
+    return embedded ? recordFromJsonDocument(JSON.parse(embedded[1])) : null;
+}
+
+const PARSERS = { '.txt': parseTxt, '.json': parseJson, '.md': parseMarkdown, '.html': parseHtml };
+
+export function parseMovieFile(fileName, content) {
+    const parser = PARSERS[path.extname(fileName).toLowerCase()];
+    if (!parser) return null;
+    try {
+        return parser(content);
+    } catch (error) {
+        logger.warn(`  [MovieLibrary] Could not parse "${fileName}": ${error.message}`);
+        return null;
+    }
+}
+
+async function listMovieFiles(outputDir) {
+    let dirents;
+    try {
+        dirents = await fs.readdir(outputDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return dirents
+        .filter(dirent => dirent.isFile() && !dirent.name.startsWith('.') && MOVIE_FILE_EXTENSIONS.includes(path.extname(dirent.name).toLowerCase()))
+        .map(dirent => dirent.name)
+        .sort();
+}
+
+async function readIndexFile(indexPath) {
+    try {
+        const parsed = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+        if (parsed.version === LIBRARY_INDEX_VERSION && parsed.entries) return parsed;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`  [MovieLibrary] Rebuilding unreadable index "${indexPath}": ${error.message}`);
+        }
+    }
+    return { version: LIBRARY_INDEX_VERSION, updatedAt: null, entries: {} };
+}
+
+async function writeIndexFile(indexPath, index) {
+    index.updatedAt = new Date().toISOString();
+    await writeFileAtomic(indexPath, JSON.stringify(index, null, 2));
+}
+
+async function indexEntryForFile(outputDir, fileName, record) {
+    const filePath = path.join(outputDir, fileName);
+    const stats = await fs.stat(filePath);
+    const parsedRecord = record || parseMovieFile(fileName, await fs.readFile(filePath, 'utf8'));
+    if (!parsedRecord) return null;
+    const { error, ...recordWithoutError } = parsedRecord;
+    return { ...recordWithoutError, file: fileName, format: path.extname(fileName).slice(1), mtimeMs: stats.mtimeMs };
+}
+
+// Index updates are serialized per directory so concurrent writers (batch mode, the API server)
+// never interleave read-modify-write cycles of the same index file.
+function enqueueIndexUpdate(outputDir, update) {
+    return runExclusive(path.resolve(outputDir, LIBRARY_INDEX_FILENAME), update);
+}
+
+export function updateLibraryIndex(outputDir, filePath, record) {
+    return enqueueIndexUpdate(outputDir, async () => {
+        const indexPath = path.join(outputDir, LIBRARY_INDEX_FILENAME);
+        const index = await readIndexFile(indexPath);
+        const fileName = path.basename(filePath);
+        const entry = await indexEntryForFile(outputDir, fileName, record);
+        if (entry) {
+            index.entries[fileName] = entry;
+        } else {
+            delete index.entries[fileName];
+        }
+        await writeIndexFile(indexPath, index);
+        return entry;
+    });
+}
+
+export function loadLibrary(outputDir, { rebuild = false } = {}) {
+    return enqueueIndexUpdate(outputDir, async () => {
+        const indexPath = path.join(outputDir, LIBRARY_INDEX_FILENAME);
+        const index = rebuild ? { version: LIBRARY_INDEX_VERSION, updatedAt: null, entries: {} } : await readIndexFile(indexPath);
+        const files = await listMovieFiles(outputDir);
+        let changed = rebuild;
+
+        for (const fileName of Object.keys(index.entries)) {
+            if (!files.includes(fileName)) {
+                delete index.entries[fileName];
+                changed = true;
+            }
+        }
+        for (const fileName of files) {
+            const stats = await fs.stat(path.join(outputDir, fileName));
+            if (index.entries[fileName]?.mtimeMs === stats.mtimeMs) continue;
+            const entry = await indexEntryForFile(outputDir, fileName);
+            if (entry) {
+                index.entries[fileName] = entry;
+            } else {
+                delete index.entries[fileName];
+            }
+            changed = true;
+        }
+
+        if (changed && files.length > 0) {
+            await writeIndexFile(indexPath, index);
+        }
+        return Object.values(index.entries);
+    });
+}
+
+const SORT_KEYS = {
+    rating: record => record.imdbRating,
+    year: record => leadingYear(record.year),
+    title: record => record.title.toLowerCase(),
+};
+
+export function queryLibrary(records, { genre, cast, title, language, yearFrom, yearTo, minRating, sortBy = 'title', descending = false, limit } = {}) {
+    const includesText = (list, needle) => list.some(item => item.toLowerCase().includes(needle.toLowerCase()));
+    const genres = genre ? genre.split(',').map(item => item.trim()).filter(Boolean) : [];
+
+    const filtered = records.filter(record => {
+        if (genres.length > 0 && !genres.every(wanted => includesText(record.genre, wanted))) return false;
+        if (cast && !includesText(record.mainCast, cast)) return false;
+        if (title && !record.title.toLowerCase().includes(title.toLowerCase())) return false;
+        if (language && (record.language || DEFAULT_LANGUAGE) !== language) return false;
+        const year = leadingYear(record.year);
+        if (yearFrom !== undefined && (year === null || year < yearFrom)) return false;
+        if (yearTo !== undefined && (year === null || year > yearTo)) return false;
+        if (minRating !== undefined && (record.imdbRating === null || record.imdbRating < minRating)) return false;
+        return true;
+    });
+
+    const sortKey = SORT_KEYS[sortBy];
+    if (!sortKey) {
+        throw new Error(`Unknown sort key "${sortBy}". Expected one of: ${Object.keys(SORT_KEYS).join(', ')}.`);
+    }
+    const direction = descending ? -1 : 1;
+    filtered.sort((a, b) => {
+        const left = sortKey(a);
+        const right = sortKey(b);
+        if (left === right) return 0;
+        if (left === null) return 1;
+        if (right === null) return -1;
+        return (left < right ? -1 : 1) * direction;
+    });
+
+    return limit ? filtered.slice(0, limit) : filtered;
+}
@@ -0,0 +1,60 @@
+import { z } from 'zod';
+import { listRendererNames, resolveSummaryTiers } from '../renderers/index.js';
+import { resolveLanguage } from '../renderers/labels.js';
+
+// A request to summarize one movie, as accepted by the HTTP API and the watch-folder worker.
+export const movieRequestSchema = z.object({
+    title: z.string().trim().min(1, "title must not be empty"),
+    format: z.string().optional(),
+    lang: z.string().trim().optional(),
+    summaryTiers: z.union([z.string(), z.array(z.string())]).optional(),
+    uncertainTitlePolicy: z.enum(['pick-first', 'fail']).optional(),
+});
+
+export class MovieRequestError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'MovieRequestError';
+        this.details = details;
+    }
+}
+
+function normalizeOption(normalize, value) {
+    try {
+        return normalize(value);
+    } catch (error) {
+        throw new MovieRequestError(error.message);
+    }
+}
+
+export function parseMovieRequest(body, { schema = movieRequestSchema } = {}) {
+    const parsed = schema.safeParse(body);
+    if (!parsed.success) {
+        throw new MovieRequestError('Request body failed validation.', parsed.error.issues.map(issue => ({
+            field: issue.path.join('.') || '(root)',
+            message: issue.message,
+        })));
+    }
+
+    const request = { ...parsed.data };
+    if (request.format && !listRendererNames().includes(request.format)) {
+        throw new MovieRequestError(`Unknown format "${request.format}". Available formats: ${listRendererNames().join(', ')}.`);
+    }
+    if (request.lang) {
+        request.lang = normalizeOption(resolveLanguage, request.lang);
+    }
+    if (request.summaryTiers !== undefined) {
+        request.summaryTiers = normalizeOption(resolveSummaryTiers, request.summaryTiers);
+    }
+    return request;
+}
+
+// Options for main.js's getPipeline(); unset values fall back to the CLI defaults.
+export function pipelineOptionsForRequest(request) {
+    return {
+        format: request.format,
+        uncertainTitlePolicy: request.uncertainTitlePolicy,
+        language: request.lang,
+        summaryTiers: request.summaryTiers,
+    };
+}
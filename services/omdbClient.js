@@ -0,0 +1,103 @@
+import axios from 'axios';
+
+export const DEFAULT_OMDB_BASE_URL = 'http://www.omdbapi.com/';
+const OMDB_PAGE_SIZE = 10;
+
+// Errors that say nothing about whether the movie exists (outages, timeouts, the daily request
+// limit) are flagged as transient so callers do not report the movie as not found.
+function toOmdbError(message, { transient = false } = {}) {
+    return transient ? { Response: "False", Error: message, transient: true } : { Response: "False", Error: message };
+}
+
+function isTransientOmdbFailure(status, message) {
+    return status === 429 || status >= 500 || /limit reached/i.test(message || '');
+}
+
+export function createOmdbClient({ apiKey, baseUrl = DEFAULT_OMDB_BASE_URL, timeoutMs = 10000, httpClient } = {}) {
+    const http = httpClient || axios.create({ baseURL: baseUrl, timeout: timeoutMs });
+
+    async function request(params) {
+        if (!apiKey) {
+            return toOmdbError("OMDB_API_KEY is not set.");
+        }
+        try {
+            const response = await http.get('/', { params: { apikey: apiKey, ...params } });
+            const data = response.data;
+            if (!data || typeof data !== 'object') {
+                return toOmdbError("OMDb returned an unexpected response body.");
+            }
+            if (data.Response === "False") {
+                return toOmdbError(data.Error || "Unknown OMDb error.", { transient: isTransientOmdbFailure(response.status, data.Error) });
+            }
+            return data;
+        } catch (error) {
+            if (error.response) {
+                const omdbMessage = error.response.data && error.response.data.Error;
+                return toOmdbError(omdbMessage || `OMDb request failed with HTTP ${error.response.status}.`, {
+                    transient: isTransientOmdbFailure(error.response.status, omdbMessage),
+                });
+            }
+            return toOmdbError(`OMDb request failed: ${error.message}`, { transient: true });
+        }
+    }
+
+    async function searchByTitle(query, { year, type = 'movie', page = 1 } = {}) {
+        return request({ s: query, y: year, type, page });
+    }
+
+    async function searchAllPages(query, { year, type = 'movie', maxPages = 3 } = {}) {
+        const firstPage = await searchByTitle(query, { year, type, page: 1 });
+        if (firstPage.Response === "False") {
+            return firstPage;
+        }
+
+        const totalResults = parseInt(firstPage.totalResults, 10) || firstPage.Search.length;
+        const totalPages = Math.min(Math.ceil(totalResults / OMDB_PAGE_SIZE), maxPages);
+        const results = [...firstPage.Search];
+
+        for (let page = 2; page <= totalPages; page++) {
+            const nextPage = await searchByTitle(query, { year, type, page });
+            if (nextPage.Response === "False") break;
+            results.push(...nextPage.Search);
+        }
+
+        return { Response: "True", totalResults: String(totalResults), Search: results };
+    }
+
+    async function getByTitle(title, { year, plot = 'full' } = {}) {
+        return request({ t: title, y: year, plot });
+    }
+
+    async function getById(imdbID, { plot = 'full' } = {}) {
+        return request({ i: imdbID, plot });
+    }
+
+    async function findMovie(title, { year } = {}) {
+        const directMatch = await getByTitle(title, { year });
+        if (directMatch.Response === "True" || directMatch.transient) {
+            return directMatch;
+        }
+
+        const searchResults = await searchAllPages(title, { year });
+        if (searchResults.Response === "False") {
+            return directMatch.Error === "Movie not found!" ? searchResults : directMatch;
+        }
+
+        const normalizedTitle = title.toLowerCase().trim();
+        const bestMatch = searchResults.Search.find(result => result.Title.toLowerCase() === normalizedTitle)
+            || searchResults.Search[0];
+
+        return getById(bestMatch.imdbID);
+    }
+
+    return { searchByTitle, searchAllPages, getByTitle, getById, findMovie };
+}
+
+export function splitTitleAndYear(title) {
+    if (!title || typeof title !== 'string') return { title, year: undefined };
+    const match = title.match(/^(.*?)[\s,]*\(?((?:19|20)\d{2})\)?$/);
+    if (match && match[1].trim()) {
+        return { title: match[1].trim(), year: match[2] };
+    }
+    return { title: title.trim(), year: undefined };
+}
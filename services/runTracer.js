@@ -0,0 +1,269 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
+import { runExclusive, messageContentText } from '../utils.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_TRACE_PATH = process.env.TRACE_PATH || '.movie_traces/traces.jsonl';
+const MAX_TRACED_STRING_LENGTH = 2000;
+
+// USD per million tokens; matched by model-name prefix. LLM_PRICING (JSON of the same shape) adds or overrides entries.
+const DEFAULT_MODEL_PRICING = {
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'fake-replay': { input: 0, output: 0 },
+};
+
+let modelPricing = null;
+
+function loadModelPricing() {
+    if (!modelPricing) {
+        modelPricing = { ...DEFAULT_MODEL_PRICING };
+        try {
+            Object.assign(modelPricing, JSON.parse(process.env.LLM_PRICING || '{}'));
+        } catch (error) {
+            logger.warn(`  [Trace] Ignoring invalid LLM_PRICING: ${error.message}`);
+        }
+    }
+    return modelPricing;
+}
+
+function pricingForModel(model) {
+    const pricing = loadModelPricing();
+    const prefix = Object.keys(pricing)
+        .filter(name => model && model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? pricing[prefix] : null;
+}
+
+function summarizeValue(value, depth = 0) {
+    if (typeof value === 'string') {
+        return value.length > MAX_TRACED_STRING_LENGTH ? `${value.slice(0, MAX_TRACED_STRING_LENGTH)}… (${value.length} chars)` : value;
+    }
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > 6) return '[…]';
+    if (Array.isArray(value)) return value.map(item => summarizeValue(item, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, summarizeValue(item, depth + 1)]));
+}
+
+function messageText(message) {
+    return messageContentText(message?.content ?? message?.kwargs?.content);
+}
+
+function tokenUsageFromOutput(output, promptLength, completionLength) {
+    const usage = output.llmOutput?.tokenUsage;
+    if (usage?.totalTokens) {
+        return { promptTokens: usage.promptTokens ?? 0, completionTokens: usage.completionTokens ?? 0, estimated: false };
+    }
+    const metadata = output.generations?.[0]?.[0]?.message?.usage_metadata;
+    if (metadata?.total_tokens) {
+        return { promptTokens: metadata.input_tokens ?? 0, completionTokens: metadata.output_tokens ?? 0, estimated: false };
+    }
+    // Providers that report nothing (e.g. the fake replay model) get a rough 4-characters-per-token estimate.
+    return { promptTokens: Math.ceil(promptLength / 4), completionTokens: Math.ceil(completionLength / 4), estimated: true };
+}
+
+function isTracedChain(runName) {
+    return Boolean(runName) && (runName.endsWith('Step') || runName.endsWith('Condition'));
+}
+
+// Collects one structured trace per pipeline run: the named steps with their inputs, outputs and
+// latency, every LLM call with token usage and cost, structured-output retries and the branch taken.
+export class RunTraceHandler extends BaseCallbackHandler {
+    name = 'run_trace_handler';
+
+    constructor({ traceId = randomUUID(), input } = {}) {
+        super({ _awaitHandler: true });
+        this.trace = {
+            traceId,
+            rawTitle: input?.raw_title ?? null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            durationMs: null,
+            status: 'running',
+            branch: null,
+            failedStep: null,
+            error: null,
+            steps: [],
+            llmCalls: [],
+            totals: null,
+        };
+        this.startTimes = new Map();
+        this.steps = new Map();
+        this.llmCalls = new Map();
+        this.promptLengths = new Map();
+    }
+
+    handleChainStart(chain, inputs, runId, parentRunId, tags, metadata, runType, runName) {
+        if (!isTracedChain(runName)) return;
+        const step = { runName, startedAt: new Date().toISOString(), durationMs: null, status: 'running', inputs: summarizeValue(inputs) };
+        const branchTag = (tags || []).find(tag => tag.startsWith('branch:'));
+        if (branchTag) {
+            this.trace.branch = { runName, tag: branchTag };
+        }
+        this.steps.set(runId, step);
+        this.startTimes.set(runId, Date.now());
+        this.trace.steps.push(step);
+        logger.debug(`  [Trace] ${runName} started`);
+    }
+
+    finishStep(runId, fields) {
+        const step = this.steps.get(runId);
+        if (!step) return null;
+        Object.assign(step, fields, { durationMs: Date.now() - this.startTimes.get(runId) });
+        this.steps.delete(runId);
+        this.startTimes.delete(runId);
+        return step;
+    }
+
+    handleChainEnd(outputs, runId) {
+        const step = this.finishStep(runId, { status: 'ok', outputs: summarizeValue(outputs) });
+        if (step) logger.debug(`  [Trace] ${step.runName} finished in ${step.durationMs} ms`);
+    }
+
+    handleChainError(error, runId) {
+        const step = this.finishStep(runId, { status: 'error', error: error.message });
+        if (!step) return;
+        logger.debug(`  [Trace] ${step.runName} failed after ${step.durationMs} ms: ${error.message}`);
+        // The innermost failing step is reported first; outer steps fail with the same error afterwards.
+        if (!this.trace.failedStep) {
+            this.trace.failedStep = step.runName;
+        }
+    }
+
+    handleChatModelStart(llm, messages, runId, parentRunId, extraParams, tags, metadata) {
+        const model = metadata?.ls_model_name || extraParams?.invocation_params?.model || llm.kwargs?.model || null;
+        const promptText = (messages[0] || []).map(messageText).join('\n\n');
+        const call = {
+            model,
+            provider: metadata?.ls_provider || null,
+            structuredOutput: metadata?.structuredOutput || null,
+            attempt: metadata?.attempt || 1,
+            transportAttempt: metadata?.llmAttempt || 1,
+            startedAt: new Date().toISOString(),
+            prompt: summarizeValue(promptText),
+        };
+        this.promptLengths.set(runId, promptText.length);
+        this.llmCalls.set(runId, call);
+        this.startTimes.set(runId, Date.now());
+        this.trace.llmCalls.push(call);
+    }
+
+    handleLLMEnd(output, runId) {
+        const call = this.llmCalls.get(runId);
+        if (!call) return;
+        const completion = output.generations?.[0]?.[0]?.text ?? '';
+        const usage = tokenUsageFromOutput(output, this.promptLengths.get(runId), completion.length);
+        const pricing = pricingForModel(call.model);
+        Object.assign(call, {
+            durationMs: Date.now() - this.startTimes.get(runId),
+            status: 'ok',
+            completion: summarizeValue(completion),
+            ...usage,
+            costUsd: pricing ? (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1e6 : null,
+        });
+        this.llmCalls.delete(runId);
+        this.promptLengths.delete(runId);
+        this.startTimes.delete(runId);
+        logger.debug(`  [Trace] LLM call (${call.model}) took ${call.durationMs} ms, ${usage.promptTokens}+${usage.completionTokens} tokens`);
+    }
+
+    handleLLMError(error, runId) {
+        const call = this.llmCalls.get(runId);
+        if (!call) return;
+        Object.assign(call, { durationMs: Date.now() - this.startTimes.get(runId), status: 'error', error: error.message });
+        this.llmCalls.delete(runId);
+        this.promptLengths.delete(runId);
+        this.startTimes.delete(runId);
+    }
+
+    finish({ status, error, result } = {}) {
+        const finishedAt = new Date();
+        const calls = this.trace.llmCalls;
+        const costs = calls.map(call => call.costUsd).filter(cost => typeof cost === 'number');
+        Object.assign(this.trace, {
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - new Date(this.trace.startedAt),
+            status,
+            error: error ? error.message : null,
+            finalMessage: result?.finalMessage ?? null,
+            writtenFilePath: result?.writtenFilePath ?? null,
+            totals: {
+                llmCalls: calls.length,
+                retries: calls.filter(call => call.attempt > 1 || call.transportAttempt > 1).length,
+                promptTokens: calls.reduce((sum, call) => sum + (call.promptTokens || 0), 0),
+                completionTokens: calls.reduce((sum, call) => sum + (call.completionTokens || 0), 0),
+                estimatedTokens: calls.some(call => call.estimated),
+                costUsd: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) : null,
+            },
+        });
+        return this.trace;
+    }
+}
+
+export function createTraceStore({ filePath = DEFAULT_TRACE_PATH } = {}) {
+    async function append(trace) {
+        await runExclusive(path.resolve(filePath), async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.appendFile(filePath, `${JSON.stringify(trace)}\n`, 'utf8');
+        });
+    }
+
+    async function list() {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return content.split('\n').filter(line => line.trim()).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch {
+                return [];
+            }
+        });
+    }
+
+    async function get(traceId) {
+        const traces = await list();
+        if (!traceId || traceId === 'last') return traces.at(-1) || null;
+        return traces.find(trace => trace.traceId === traceId || trace.traceId.startsWith(traceId)) || null;
+    }
+
+    return { filePath, append, list, get };
+}
+
+// Wraps a pipeline so every invoke records a trace. Failures are rethrown with the trace id and the
+// step that failed attached, so callers can say more than "the pipeline crashed".
+export function withRunTracing(pipeline, traceStore) {
+    async function record(handler, outcome) {
+        try {
+            await traceStore.append(handler.finish(outcome));
+        } catch (error) {
+            logger.warn(`  [Trace] Could not write trace to "${traceStore.filePath}": ${error.message}`);
+        }
+    }
+
+    async function invoke(input, config = {}) {
+        const handler = new RunTraceHandler({ input });
+        const callbacks = [...(config.callbacks || []), handler];
+        try {
+            const result = await pipeline.invoke(input, { ...config, callbacks });
+            await record(handler, { status: result?.status || 'finished', result });
+            return { ...result, traceId: handler.trace.traceId };
+        } catch (error) {
+            await record(handler, { status: 'failed', error });
+            error.traceId = handler.trace.traceId;
+            error.failedStep = handler.trace.failedStep;
+            throw error;
+        }
+    }
+
+    return { invoke };
+}
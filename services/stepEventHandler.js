@@ -0,0 +1,32 @@
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
+
+// Reports start/end/error of the pipeline's named steps (runNames ending in "Step").
+export class StepEventHandler extends BaseCallbackHandler {
+    name = 'step_event_handler';
+
+    constructor(onEvent) {
+        super({ _awaitHandler: true });
+        this.onEvent = onEvent;
+        this.stepNames = new Map();
+    }
+
+    handleChainStart(chain, inputs, runId, parentRunId, tags, metadata, runType, runName) {
+        if (!runName || !runName.endsWith('Step')) return;
+        this.stepNames.set(runId, runName);
+        this.onEvent({ type: 'step_start', runName, at: new Date().toISOString() });
+    }
+
+    handleChainEnd(outputs, runId) {
+        const runName = this.stepNames.get(runId);
+        if (!runName) return;
+        this.stepNames.delete(runId);
+        this.onEvent({ type: 'step_end', runName, at: new Date().toISOString() });
+    }
+
+    handleChainError(error, runId) {
+        const runName = this.stepNames.get(runId);
+        if (!runName) return;
+        this.stepNames.delete(runId);
+        this.onEvent({ type: 'step_error', runName, error: error.message, at: new Date().toISOString() });
+    }
+}
@@ -0,0 +1,96 @@
+import { StructuredOutputParser, parseJsonMarkdown } from '@langchain/core/output_parsers';
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+import { logger } from './logger.js';
+import { messageContentText } from '../utils.js';
+
+export const DEFAULT_STRUCTURED_OUTPUT_RETRIES = Number.parseInt(process.env.STRUCTURED_OUTPUT_RETRIES ?? '2', 10);
+
+export class StructuredOutputError extends Error {
+    constructor(message, { failedFields = [], issues = [], rawOutput, attempts } = {}) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.failedFields = failedFields;
+        this.issues = issues;
+        this.rawOutput = rawOutput;
+        this.attempts = attempts;
+    }
+}
+
+function validateOutput(rawOutput, schema) {
+    let parsedJson;
+    try {
+        parsedJson = parseJsonMarkdown(rawOutput);
+    } catch {
+        parsedJson = undefined;
+    }
+    if (parsedJson === undefined || parsedJson === null || typeof parsedJson !== 'object') {
+        return { success: false, issues: [{ path: '(root)', message: 'Output was not a valid JSON object.' }] };
+    }
+
+    const result = schema.safeParse(parsedJson);
+    if (result.success) {
+        return { success: true, data: result.data };
+    }
+    return {
+        success: false,
+        issues: result.error.issues.map(issue => ({
+            path: issue.path.length > 0 ? issue.path.join('.') : '(root)',
+            message: issue.message,
+        })),
+    };
+}
+
+function buildRetryMessage(issues) {
+    const issueLines = issues.map(issue => `- ${issue.path}: ${issue.message}`).join('\n');
+    return `Your previous response failed validation:\n${issueLines}\n` +
+           `Respond again with ONLY the corrected JSON object that satisfies the schema. No other text.`;
+}
+
+export function validationFailureFromError(agent, error) {
+    return {
+        agent,
+        failedFields: error.failedFields || [],
+        message: error.message,
+    };
+}
+
+export function createStructuredOutputTool(prompt, llm, schema, { maxRetries = DEFAULT_STRUCTURED_OUTPUT_RETRIES, name = 'StructuredOutput' } = {}) {
+    const parser = StructuredOutputParser.fromZodSchema(schema);
+    const formatInstructions = parser.getFormatInstructions();
+
+    async function invoke(input, config) {
+        let messages = await prompt.formatMessages({ ...input, format_instructions: formatInstructions });
+        let lastIssues = [];
+        let rawOutput;
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            const response = await llm.invoke(messages, {
+                ...config,
+                metadata: { ...config?.metadata, structuredOutput: name, attempt: attempt + 1 },
+            });
+            rawOutput = messageContentText(response.content);
+            logger.debug(`  [${name}] Raw LLM output (attempt ${attempt + 1}): ${rawOutput}`);
+
+            const validation = validateOutput(rawOutput, schema);
+            if (validation.success) {
+                return validation.data;
+            }
+
+            lastIssues = validation.issues;
+            logger.warn(`  [${name}] Attempt ${attempt + 1}/${maxRetries + 1} failed validation: ${lastIssues.map(issue => issue.path).join(', ')}`);
+            messages = [...messages, new AIMessage(rawOutput), new HumanMessage(buildRetryMessage(lastIssues))];
+        }
+
+        throw new StructuredOutputError(
+            `${name} output failed validation after ${maxRetries + 1} attempt(s): ${lastIssues.map(issue => `${issue.path} (${issue.message})`).join('; ')}`,
+            {
+                failedFields: [...new Set(lastIssues.map(issue => issue.path))],
+                issues: lastIssues,
+                rawOutput,
+                attempts: maxRetries + 1,
+            }
+        );
+    }
+
+    return { invoke };
+}
@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const TITLE_FIELDS = ['title', 'raw_title', 'name', 'movie'];
+
+// Case, punctuation and Latin accents are ignored ("Amélie!" and "amelie" share a key); other
+// scripts keep their letters and marks. A title of punctuation only keys on itself.
+export function normalizeTitleKey(title) {
+    const key = String(title)
+        .normalize('NFKD')
+        .toLowerCase()
+        .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+        .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return key || String(title).trim();
+}
+
+function parseCsvLine(line) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+function parseTxt(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+function parseCsv(text) {
+    const rows = text.split(/\r?\n/).filter(line => line.trim()).map(parseCsvLine);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const titleColumn = header.findIndex(cell => TITLE_FIELDS.includes(cell));
+    if (titleColumn === -1) {
+        return rows.map(row => row[0]).filter(Boolean);
+    }
+    return rows.slice(1).map(row => row[titleColumn]).filter(Boolean);
+}
+
+function parseJsonl(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((line, index) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+            }
+            if (typeof entry === 'string') return entry;
+            const field = TITLE_FIELDS.find(key => typeof entry?.[key] === 'string');
+            return field ? entry[field] : null;
+        })
+        .filter(Boolean);
+}
+
+const PARSERS = { txt: parseTxt, csv: parseCsv, jsonl: parseJsonl };
+
+export function detectTitleListFormat(filePath) {
+    const extension = path.extname(filePath || '').slice(1).toLowerCase();
+    if (extension === 'csv') return 'csv';
+    if (extension === 'jsonl' || extension === 'ndjson') return 'jsonl';
+    return 'txt';
+}
+
+export function parseTitleList(text, format = 'txt') {
+    const parser = PARSERS[format];
+    if (!parser) {
+        throw new Error(`Unsupported title list format "${format}". Expected one of: ${Object.keys(PARSERS).join(', ')}.`);
+    }
+
+    const seen = new Set();
+    return parser(text)
+        .map(title => title.trim())
+        .filter(title => {
+            const key = normalizeTitleKey(title);
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+export async function readTitleList(source, { format } = {}) {
+    const fromStdin = !source || source === '-';
+    const text = fromStdin ? await readStream(process.stdin) : await fs.readFile(source, 'utf8');
+    return parseTitleList(text, format || (fromStdin ? 'txt' : detectTitleListFormat(source)));
+}
@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { writeFileAtomic, runExclusive } from '../utils.js';
+import { logger } from './logger.js';
+
+export const VECTOR_INDEX_FILENAME = '.vectors.json';
+const VECTOR_INDEX_VERSION = 1;
+
+export function movieEmbeddingText(record) {
+    return `${record.title}${record.year ? ` (${record.year})` : ''}. ` +
+           `Genre: ${record.genre.join(', ') || 'N/A'}. ` +
+           `Theme: ${record.theme || 'N/A'}. ` +
+           `Plot: ${record.plotSummary || 'N/A'}`;
+}
+
+function hashText(text) {
+    return createHash('sha1').update(text).digest('hex');
+}
+
+function cosineSimilarity(left, right) {
+    let dot = 0;
+    let leftNorm = 0;
+    let rightNorm = 0;
+    for (let i = 0; i < left.length; i++) {
+        dot += left[i] * right[i];
+        leftNorm += left[i] * left[i];
+        rightNorm += right[i] * right[i];
+    }
+    return leftNorm > 0 && rightNorm > 0 ? dot / Math.sqrt(leftNorm * rightNorm) : 0;
+}
+
+export function createVectorIndex({ outputDir, embeddings, provider, model }) {
+    const indexPath = path.join(outputDir, VECTOR_INDEX_FILENAME);
+
+    async function readIndex() {
+        try {
+            const parsed = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+            if (parsed.version === VECTOR_INDEX_VERSION && parsed.provider === provider && parsed.model === model) {
+                return parsed;
+            }
+            logger.warn(`  [VectorIndex] Index was built with ${parsed.provider}/${parsed.model}; re-embedding with ${provider}/${model}.`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`  [VectorIndex] Rebuilding unreadable index "${indexPath}": ${error.message}`);
+            }
+        }
+        return { version: VECTOR_INDEX_VERSION, provider, model, entries: {} };
+    }
+
+    async function embedRecords(index, records) {
+        const pending = records
+            .map(record => ({ record, text: movieEmbeddingText(record) }))
+            .filter(({ record, text }) => index.entries[record.file]?.textHash !== hashText(text));
+        if (pending.length === 0) return false;
+
+        const vectors = await embeddings.embedDocuments(pending.map(({ text }) => text));
+        pending.forEach(({ record, text }, i) => {
+            index.entries[record.file] = {
+                title: record.title,
+                year: record.year,
+                textHash: hashText(text),
+                vector: vectors[i],
+            };
+        });
+        return true;
+    }
+
+    function upsert(record) {
+        return runExclusive(path.resolve(indexPath), async () => {
+            const index = await readIndex();
+            if (await embedRecords(index, [record])) {
+                await writeFileAtomic(indexPath, JSON.stringify(index));
+            }
+        });
+    }
+
+    function sync(records, { rebuild = false } = {}) {
+        return runExclusive(path.resolve(indexPath), async () => {
+            const index = rebuild ? { version: VECTOR_INDEX_VERSION, provider, model, entries: {} } : await readIndex();
+            const files = new Set(records.map(record => record.file));
+            let changed = rebuild;
+
+            for (const file of Object.keys(index.entries)) {
+                if (!files.has(file)) {
+                    delete index.entries[file];
+                    changed = true;
+                }
+            }
+            changed = (await embedRecords(index, records)) || changed;
+
+            if (changed) {
+                await writeFileAtomic(indexPath, JSON.stringify(index));
+            }
+            return index;
+        });
+    }
+
+    async function search(query, records, { topK = 5, rebuild = false } = {}) {
+        const index = await sync(records, { rebuild });
+        const queryVector = await embeddings.embedQuery(query);
+        const recordsByFile = new Map(records.map(record => [record.file, record]));
+
+        return Object.entries(index.entries)
+            .map(([file, entry]) => ({ record: recordsByFile.get(file), score: cosineSimilarity(queryVector, entry.vector) }))
+            .filter(result => result.record && result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+
+    return { indexPath, upsert, sync, search };
+}
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { progressKey, runBatchCommand } from '../commands/batchCommand.js';
+import { setLogLevel } from '../services/logger.js';
+
+setLogLevel('quiet');
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'movie-batch-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Stands in for the movie pipeline: "writes" a file per title and remembers what it was asked for.
+function fakePipeline(outputDir) {
+    const invoked = [];
+    return {
+        invoked,
+        async invoke({ raw_title }) {
+            invoked.push(raw_title);
+            const writtenFilePath = path.join(outputDir, `${raw_title.replace(/\W+/g, '_')}.out`);
+            await fs.writeFile(writtenFilePath, raw_title);
+            return { status: 'written', refinedTitle: raw_title, writtenFilePath };
+        },
+    };
+}
+
+async function runBatch(dir, pipeline, options = {}) {
+    const input = path.join(dir, 'titles.txt');
+    await fs.writeFile(input, 'Inception 2010\nThe Matrix\n');
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await runBatchCommand(pipeline, { input, outputDir: path.join(dir, 'out'), concurrency: 1, ...options });
+    } finally {
+        console.log = log;
+    }
+}
+
+test('progressKey tells titles, languages and formats apart', () => {
+    assert.equal(progressKey('  Inception 2010 ', 'en', 'txt'), 'inception 2010.txt');
+    assert.equal(progressKey('inception 2010'), progressKey('Inception 2010', 'en', 'txt'));
+    assert.equal(progressKey('Inception 2010', 'hi', 'json'), 'inception 2010.hi.json');
+    assert.notEqual(progressKey('Inception 2010', 'en', 'txt'), progressKey('Inception 2010', 'en', 'json'));
+    assert.notEqual(progressKey('Inception 2010', 'en', 'txt'), progressKey('Inception 2010', 'hi', 'txt'));
+    assert.throws(() => progressKey('Inception', 'en', 'pdf'), /Unknown output format "pdf"/);
+});
+
+test('resume skips titles journaled as written in the same format, and only those', async t => {
+    const dir = await tempDir(t);
+    const first = fakePipeline(path.join(dir, 'out'));
+    await fs.mkdir(path.join(dir, 'out'), { recursive: true });
+    await runBatch(dir, first);
+    assert.deepEqual(first.invoked, ['Inception 2010', 'The Matrix']);
+
+    const again = fakePipeline(path.join(dir, 'out'));
+    const summary = await runBatch(dir, again);
+    assert.deepEqual(again.invoked, []);
+    assert.equal(summary.skipped.length, 2);
+
+    const json = fakePipeline(path.join(dir, 'out'));
+    await runBatch(dir, json, { format: 'json' });
+    assert.deepEqual(json.invoked, ['Inception 2010', 'The Matrix']);
+});
+
+test('resume skips titles another run already wrote, found through their metadata', async t => {
+    const dir = await tempDir(t);
+    const outputDir = path.join(dir, 'out');
+    await fs.mkdir(path.join(outputDir, '.meta'), { recursive: true });
+    await fs.writeFile(path.join(outputDir, 'inception_2010.txt'), 'Title: Inception');
+    await fs.writeFile(path.join(outputDir, '.meta', 'inception_2010.txt.json'), JSON.stringify({
+        file: 'inception_2010.txt', rawTitle: 'inception 2010', language: 'en', format: 'txt',
+    }));
+    // Metadata whose file is gone does not count.
+    await fs.writeFile(path.join(outputDir, '.meta', 'the_matrix_1999.txt.json'), JSON.stringify({
+        file: 'the_matrix_1999.txt', rawTitle: 'The Matrix', language: 'en', format: 'txt',
+    }));
+
+    const pipeline = fakePipeline(outputDir);
+    const summary = await runBatch(dir, pipeline);
+    assert.deepEqual(pipeline.invoked, ['The Matrix']);
+    assert.deepEqual(summary.skipped, [{ rawTitle: 'Inception 2010' }]);
+
+    const hindi = fakePipeline(outputDir);
+    await runBatch(dir, hindi, { language: 'hi', resume: true });
+    assert.deepEqual(hindi.invoked, ['Inception 2010', 'The Matrix']);
+});
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import { FakeReplayChatModel } from '../services/fakeChatModel.js';
+import { ResponseRecorder } from '../services/evalHarness.js';
+
+const RESPONSE = '{"refinedTitle": "Inception", "year": "2010"}';
+
+function prompt(systemText) {
+    return [new SystemMessage(systemText), new HumanMessage('Raw movie title: inceptio')];
+}
+
+async function recordEntries(messages) {
+    const model = new FakeReplayChatModel({ agentName: 'titleRefinement', entries: [{ agent: 'titleRefinement', response: RESPONSE }] });
+    const recorder = new ResponseRecorder('titleRefinement');
+    await model.invoke(messages, { callbacks: [recorder] });
+    return recorder.toFixtureEntries();
+}
+
+test('recordings match on the first human message and remember the full prompt', async () => {
+    const entries = await recordEntries(prompt('You are a movie title expert.'));
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].matchRegex, '^Raw movie title: inceptio$');
+    assert.match(entries[0].promptHash, /^[0-9a-f]{16}$/);
+
+    const replay = new FakeReplayChatModel({ agentName: 'titleRefinement', entries });
+    const response = await replay.invoke(prompt('You are a movie title expert.'));
+    assert.equal(response.content, RESPONSE);
+    assert.deepEqual(replay.staleMatches, []);
+});
+
+test('a recording made for a different system prompt is reported as stale, not replayed', async () => {
+    const entries = await recordEntries(prompt('You are a movie title expert.'));
+    const replay = new FakeReplayChatModel({ agentName: 'titleRefinement', entries });
+    await assert.rejects(replay.invoke(prompt('You are a careful movie title expert.')), /recorded for a different prompt/);
+    assert.deepEqual(replay.staleMatches, ['Raw movie title: inceptio']);
+});
+
+test('fixtures without a prompt hash match on the human message alone', async () => {
+    const replay = new FakeReplayChatModel({ agentName: 'titleRefinement', entries: [{ agent: 'titleRefinement', match: 'inceptio', response: RESPONSE }] });
+    const response = await replay.invoke(prompt('Any system prompt.'));
+    assert.equal(response.content, RESPONSE);
+});
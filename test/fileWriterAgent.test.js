@@ -0,0 +1,137 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createFileWriterAgent, movieFilename } from '../agents/fileWriterAgent.js';
+import { setLogLevel } from '../services/logger.js';
+
+setLogLevel('quiet');
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'movie-files-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function pipelineInput(movie, extra = {}) {
+    return {
+        raw_title: movie.title,
+        refinedTitle: movie.title,
+        movieDataFromOMDB: { Response: 'True', imdbRating: '8.0', mainCast: 'Someone', genre: 'Drama', plotSummary: 'A plot.', dataSource: 'omdb', ...movie },
+        generatedTheme: 'A theme.',
+        ...extra,
+    };
+}
+
+async function writeMovie(outputDir, movie, options = {}, extra = {}) {
+    const agent = createFileWriterAgent(null, outputDir, { format: 'txt', ...options });
+    return agent.invoke(pipelineInput(movie, extra));
+}
+
+test('file names are the title and year plus language and extension', () => {
+    assert.equal(movieFilename({ title: 'Pulp Fiction', year: '1994' }, 'txt'), 'pulp_fiction_1994.txt');
+    assert.equal(movieFilename({ title: 'Inception', year: '2010', language: 'hi' }, 'md'), 'inception_2010.hi.md');
+    assert.equal(movieFilename({ title: 'E.T. the Extra-Terrestrial', year: '1982–' }, 'txt'), 'e.t._the_extra-terrestrial_1982.txt');
+});
+
+test('titles without Latin letters or digits are named by IMDb ID, or else by a hash', () => {
+    assert.equal(movieFilename({ title: 'दंगल', year: '2016', imdbID: 'tt5074352' }, 'txt'), 'tt5074352_2016.txt');
+    const hashed = movieFilename({ title: 'दंगल', year: '2016' }, 'txt');
+    assert.match(hashed, /^movie_[0-9a-f]{8}_2016\.txt$/);
+    assert.equal(movieFilename({ title: 'दंगल', year: '2016' }, 'txt'), hashed);
+    assert.notEqual(movieFilename({ title: 'बाहुबली', year: '2016' }, 'txt'), hashed);
+    assert.match(movieFilename({ title: '...', year: null }, 'txt'), /^movie_[0-9a-f]{8}\.txt$/);
+});
+
+test('a different film with the same title and year gets the IMDb ID added', async t => {
+    const outputDir = await tempDir(t);
+    const first = await writeMovie(outputDir, { title: 'Dune', year: '2021', imdbID: 'tt1160419' });
+    const again = await writeMovie(outputDir, { title: 'Dune', year: '2021', imdbID: 'tt1160419' });
+    const other = await writeMovie(outputDir, { title: 'Dune', year: '2021', imdbID: 'tt9999999' });
+    assert.equal(path.basename(first.writtenFilePath), 'dune_2021.txt');
+    assert.equal(again.writtenFilePath, first.writtenFilePath);
+    assert.equal(path.basename(other.writtenFilePath), 'dune_2021_tt9999999.txt');
+});
+
+test('a non-Latin title is written to a visible file', async t => {
+    const outputDir = await tempDir(t);
+    const result = await writeMovie(outputDir, { title: 'दंगल', year: '2016', imdbID: 'tt5074352' });
+    assert.equal(result.status, 'written');
+    assert.deepEqual((await fs.readdir(outputDir)).filter(name => !name.startsWith('.')), ['tt5074352_2016.txt']);
+});
+
+async function readMetadataFile(outputDir, fileName) {
+    return JSON.parse(await fs.readFile(path.join(outputDir, '.meta', `${fileName}.json`), 'utf8'));
+}
+
+test('--on-exists skip keeps the existing file untouched', async t => {
+    const outputDir = await tempDir(t);
+    await writeMovie(outputDir, { title: 'Heat', year: '1995', imdbRating: '8.3' });
+    const before = await fs.readFile(path.join(outputDir, 'heat_1995.txt'), 'utf8');
+
+    const result = await writeMovie(outputDir, { title: 'Heat', year: '1995', imdbRating: '9.9' }, { onExists: 'skip' });
+    assert.equal(result.status, 'written');
+    assert.equal(result.fileAction, 'skipped');
+    assert.equal(await fs.readFile(path.join(outputDir, 'heat_1995.txt'), 'utf8'), before);
+});
+
+test('--on-exists version writes _v2, _v3, ... next to the file, also for dotted titles', async t => {
+    const outputDir = await tempDir(t);
+    const movie = { title: 'E.T. the Extra-Terrestrial', year: '1982' };
+    const written = [];
+    for (let run = 0; run < 3; run++) {
+        const result = await writeMovie(outputDir, movie, { onExists: 'version' });
+        written.push(path.basename(result.writtenFilePath));
+    }
+    assert.deepEqual(written, [
+        'e.t._the_extra-terrestrial_1982.txt',
+        'e.t._the_extra-terrestrial_1982_v2.txt',
+        'e.t._the_extra-terrestrial_1982_v3.txt',
+    ]);
+    assert.equal((await readMetadataFile(outputDir, written[2])).action, 'versioned');
+});
+
+test('--on-exists version keeps the language suffix after the version', async t => {
+    const outputDir = await tempDir(t);
+    const movie = { title: 'Inception', year: '2010' };
+    await writeMovie(outputDir, movie, { onExists: 'version' }, { outputLanguage: 'hi' });
+    const second = await writeMovie(outputDir, movie, { onExists: 'version' }, { outputLanguage: 'hi' });
+    assert.equal(path.basename(second.writtenFilePath), 'inception_2010_v2.hi.txt');
+});
+
+test('--on-exists merge keeps fields and summary tiers the new record lacks', async t => {
+    const outputDir = await tempDir(t);
+    const movie = { title: 'Heat', year: '1995', imdbRating: '8.2' };
+    await writeMovie(outputDir, movie, { format: 'json', summaryTiers: ['logline', 'synopsis'] }, {
+        generatedTheme: 'Obsession on both sides of the law.',
+        plotSummaries: {
+            logline: { text: 'A detective hunts a crew of thieves.', containsSpoilers: false },
+            synopsis: { text: 'A thief plans one last score while a detective closes in.', containsSpoilers: false },
+        },
+    });
+
+    const result = await writeMovie(outputDir, { ...movie, imdbRating: '8.3' }, { format: 'json', summaryTiers: ['logline'], onExists: 'merge' }, {
+        generatedTheme: null,
+        plotSummaries: { logline: { text: 'Two professionals circle each other in Los Angeles.', containsSpoilers: false } },
+    });
+    assert.equal(result.fileAction, 'merged');
+    assert.equal(path.basename(result.writtenFilePath), 'heat_1995.json');
+
+    const merged = JSON.parse(await fs.readFile(result.writtenFilePath, 'utf8'));
+    assert.equal(merged.imdbRating, 8.3);
+    assert.equal(merged.theme, 'Obsession on both sides of the law.');
+    assert.equal(merged.summaries.logline.text, 'Two professionals circle each other in Los Angeles.');
+    assert.equal(merged.summaries.synopsis.text, 'A thief plans one last score while a detective closes in.');
+    assert.equal((await readMetadataFile(outputDir, 'heat_1995.json')).previous.format, 'json');
+});
+
+test('--on-exists merge writes a new version instead of overwriting a file it cannot read', async t => {
+    const outputDir = await tempDir(t);
+    await fs.writeFile(path.join(outputDir, 'heat_1995.json'), 'not a movie file');
+
+    const result = await writeMovie(outputDir, { title: 'Heat', year: '1995' }, { format: 'json', onExists: 'merge' });
+    assert.equal(result.fileAction, 'versioned');
+    assert.equal(path.basename(result.writtenFilePath), 'heat_1995_v2.json');
+    assert.equal(await fs.readFile(path.join(outputDir, 'heat_1995.json'), 'utf8'), 'not a movie file');
+});
@@ -0,0 +1,155 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMovieServer } from '../server/httpServer.js';
+import { FINISHED_JOB_STATUSES } from '../server/jobStore.js';
+import { createMoviePipeline } from '../pipeline.js';
+import { createAgentLlms } from '../llm_config.js';
+import { setLogLevel } from '../services/logger.js';
+import { sleep } from '../utils.js';
+
+setLogLevel('quiet');
+
+const FIXTURES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'llm');
+
+// Serves the real pipeline on an ephemeral port, with every agent replaying fixtures/llm and no cache.
+async function startServer(t) {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'movie-server-'));
+    t.after(() => fs.rm(outputDir, { recursive: true, force: true }));
+
+    const llms = createAgentLlms({ provider: 'fake', fixturesPath: FIXTURES_PATH });
+    const getPipeline = ({ format, uncertainTitlePolicy, language, summaryTiers } = {}) => createMoviePipeline(llms, {
+        outputDir,
+        dataSource: 'llm',
+        ...Object.fromEntries(Object.entries({ format, uncertainTitlePolicy, language, summaryTiers }).filter(([, value]) => value !== undefined)),
+    });
+
+    const server = createMovieServer({ getPipeline, outputDir });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+    }));
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, outputDir };
+}
+
+function postMovie(baseUrl, body, query = '') {
+    return fetch(`${baseUrl}/movies${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+}
+
+async function pollUntilFinished(baseUrl, id) {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const job = await (await fetch(`${baseUrl}/movies/${id}`)).json();
+        if (FINISHED_JOB_STATUSES.includes(job.status)) return job;
+        await sleep(25);
+    }
+    throw new Error(`Job ${id} did not finish.`);
+}
+
+function parseEventStream(text) {
+    return text.split('\n\n').filter(Boolean).map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.replace(/^event: /, ''), data: JSON.parse(dataLine.replace(/^data: /, '')) };
+    });
+}
+
+test('accepts a movie request with 202 and finishes the job in the background', async t => {
+    const { baseUrl, outputDir } = await startServer(t);
+
+    const response = await postMovie(baseUrl, { title: 'Inception 2010' });
+    assert.equal(response.status, 202);
+    const job = await response.json();
+    assert.equal(response.headers.get('location'), `/movies/${job.id}`);
+    assert.deepEqual(job.links, { self: `/movies/${job.id}`, events: `/movies/${job.id}/events` });
+    assert.equal(job.request.title, 'Inception 2010');
+
+    const finished = await pollUntilFinished(baseUrl, job.id);
+    assert.equal(finished.status, 'succeeded');
+    assert.equal(finished.result.refinedTitle, 'Inception');
+    assert.equal(finished.result.movie.title, 'Inception');
+    assert.equal(path.basename(finished.result.writtenFilePath), 'inception_2010.txt');
+    assert.ok(finished.events.some(event => event.type === 'step_end'));
+
+    const listing = await (await fetch(`${baseUrl}/movies`)).json();
+    assert.equal(listing.outputDir, outputDir);
+    assert.deepEqual(listing.entries.map(entry => entry.file), ['inception_2010.txt']);
+});
+
+test('answers 200 with the finished job when asked to wait', async t => {
+    const { baseUrl } = await startServer(t);
+
+    const response = await postMovie(baseUrl, { title: 'Inception 2010', format: 'json', wait: true });
+    assert.equal(response.status, 200);
+    const job = await response.json();
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.result.outputFormat, 'json');
+    assert.equal(job.events, undefined);
+
+    const viaQuery = await postMovie(baseUrl, { title: 'Inception 2010', format: 'markdown' }, '?wait=true');
+    assert.equal(viaQuery.status, 200);
+    assert.equal((await viaQuery.json()).status, 'succeeded');
+});
+
+test('rejects invalid requests with structured 400 errors', async t => {
+    const { baseUrl } = await startServer(t);
+
+    const invalidJson = await postMovie(baseUrl, '{"title": ');
+    assert.equal(invalidJson.status, 400);
+    assert.equal((await invalidJson.json()).error.code, 'invalid_json');
+
+    const missingTitle = await postMovie(baseUrl, { format: 'json' });
+    assert.equal(missingTitle.status, 400);
+    const { error } = await missingTitle.json();
+    assert.equal(error.code, 'invalid_request');
+    assert.deepEqual(error.details.map(detail => detail.field), ['title']);
+
+    const unknownFormat = await postMovie(baseUrl, { title: 'Inception', format: 'docx' });
+    assert.equal(unknownFormat.status, 400);
+    assert.match((await unknownFormat.json()).error.message, /Unknown format "docx"/);
+});
+
+test('answers 405 for unsupported methods and 404 for unknown jobs and routes', async t => {
+    const { baseUrl } = await startServer(t);
+
+    const deleteAll = await fetch(`${baseUrl}/movies`, { method: 'DELETE' });
+    assert.equal(deleteAll.status, 405);
+    assert.equal((await deleteAll.json()).error.code, 'method_not_allowed');
+
+    const postToJob = await fetch(`${baseUrl}/movies/some-id`, { method: 'POST' });
+    assert.equal(postToJob.status, 405);
+    await postToJob.body.cancel();
+
+    const unknownJob = await fetch(`${baseUrl}/movies/no-such-job`);
+    assert.equal(unknownJob.status, 404);
+    assert.equal((await unknownJob.json()).error.code, 'job_not_found');
+
+    const unknownRoute = await fetch(`${baseUrl}/films`);
+    assert.equal(unknownRoute.status, 404);
+    assert.equal((await unknownRoute.json()).error.code, 'not_found');
+});
+
+test('streams a job\'s step events over SSE and ends with job_end', async t => {
+    const { baseUrl } = await startServer(t);
+    const job = await (await postMovie(baseUrl, { title: 'Inception 2010' })).json();
+
+    const response = await fetch(`${baseUrl}/movies/${job.id}/events`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+    const events = parseEventStream(await response.text());
+
+    assert.ok(events.some(({ event }) => event === 'step_start'));
+    const last = events[events.length - 1];
+    assert.equal(last.event, 'job_end');
+    assert.equal(last.data.status, 'succeeded');
+
+    // A finished job replays its events and closes the stream at once.
+    const replay = parseEventStream(await (await fetch(`${baseUrl}/movies/${job.id}/events`)).text());
+    assert.deepEqual(replay.map(({ event }) => event), events.map(({ event }) => event));
+});
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createInboxQueue } from '../services/inboxQueue.js';
+import { runWatchCommand } from '../commands/watchCommand.js';
+import { setLogLevel } from '../services/logger.js';
+
+setLogLevel('quiet');
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'movie-inbox-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+async function setUpQueue(t) {
+    const dir = await tempDir(t);
+    const queue = createInboxQueue({ inboxDir: path.join(dir, 'inbox'), queueFile: path.join(dir, 'requests.jsonl') });
+    await queue.init();
+    return queue;
+}
+
+async function inboxRequests(queue) {
+    const names = (await fs.readdir(queue.inboxDir)).filter(name => name.startsWith('queue-')).sort();
+    return Promise.all(names.map(async name => ({ name, request: JSON.parse(await fs.readFile(path.join(queue.inboxDir, name), 'utf8')) })));
+}
+
+// Claims and finishes every request in the inbox, as the watch worker would.
+async function drain(queue) {
+    for (let item = await queue.claimNext(); item; item = await queue.claimNext()) {
+        await queue.complete(item, { status: 'written' });
+    }
+}
+
+test('pullQueueFile copies complete lines once, named by their id or a hash', async t => {
+    const queue = await setUpQueue(t);
+    await fs.writeFile(queue.queueFile, '{"id": "job 1", "title": "Inception"}\n"The Matrix"\n\n{"title": "Dune"');
+    assert.equal(await queue.pullQueueFile(), 2);
+
+    const requests = await inboxRequests(queue);
+    assert.deepEqual(requests.find(entry => entry.name === 'queue-job_1.json').request, { id: 'job 1', title: 'Inception' });
+    const matrix = requests.find(entry => entry.request === 'The Matrix');
+    assert.match(matrix.name, /^queue-line-[0-9a-f]{16}\.json$/);
+
+    // The unfinished last line is picked up once it is complete; nothing is queued twice.
+    await fs.appendFile(queue.queueFile, '}\n');
+    assert.equal(await queue.pullQueueFile(), 1);
+    assert.equal(await queue.pullQueueFile(), 0);
+    assert.equal((await inboxRequests(queue)).length, 3);
+});
+
+test('the same title queued twice is two requests', async t => {
+    const queue = await setUpQueue(t);
+    await fs.writeFile(queue.queueFile, '"Inception"\n"Inception"\n');
+    assert.equal(await queue.pullQueueFile(), 2);
+});
+
+test('lines of a rotated queue file are not mistaken for processed ones', async t => {
+    const queue = await setUpQueue(t);
+    await fs.writeFile(queue.queueFile, '"Inception"\n"The Matrix"\n');
+    assert.equal(await queue.pullQueueFile(), 2);
+    await drain(queue);
+
+    // Truncated and refilled past the old read position with new requests at the same offsets.
+    await fs.writeFile(queue.queueFile, '"Heat 1995"\n"Up 2009"\n"Alien 1979"\n');
+    assert.equal(await queue.pullQueueFile(), 3);
+    assert.deepEqual((await inboxRequests(queue)).map(entry => entry.request).sort(), ['Alien 1979', 'Heat 1995', 'Up 2009']);
+    await drain(queue);
+
+    // Replaced by a new file (new inode) holding the very same lines as before.
+    const rotated = `${queue.queueFile}.new`;
+    await fs.writeFile(rotated, '"Inception"\n"The Matrix"\n');
+    await fs.rename(rotated, queue.queueFile);
+    assert.equal(await queue.pullQueueFile(), 2);
+});
+
+test('watch mode keeps going when a result cannot be recorded, and finishes the item on the next start', async t => {
+    const queue = await setUpQueue(t);
+    await fs.writeFile(path.join(queue.inboxDir, 'a.txt'), 'Inception\n');
+    await fs.writeFile(path.join(queue.inboxDir, 'b.txt'), 'The Matrix\n');
+
+    const pipeline = {
+        async invoke({ raw_title }) {
+            // Moving the finished item into done/ fails from now on.
+            await fs.rm(queue.dirs.done, { recursive: true, force: true });
+            await fs.symlink(path.join(queue.inboxDir, 'missing'), queue.dirs.done);
+            return { status: 'written', finalMessage: `Wrote ${raw_title}` };
+        },
+    };
+    const log = console.log;
+    console.log = () => {};
+    let stats;
+    try {
+        stats = await runWatchCommand(() => pipeline, { inboxDir: queue.inboxDir, once: true });
+    } finally {
+        console.log = log;
+    }
+    assert.equal(stats.processed, 2);
+    assert.deepEqual((await fs.readdir(queue.dirs.processing)).sort(), ['a.txt', 'a.txt.result.json', 'b.txt', 'b.txt.result.json']);
+
+    await fs.rm(queue.dirs.done);
+    await queue.init();
+    assert.deepEqual(await queue.recover(), []);
+    assert.deepEqual((await fs.readdir(queue.dirs.done)).sort(), ['a.txt', 'a.txt.result.json', 'b.txt', 'b.txt.result.json']);
+});
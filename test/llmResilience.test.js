@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { HumanMessage } from '@langchain/core/messages';
+import { FakeReplayChatModel } from '../services/fakeChatModel.js';
+import { createResilientLlm, createCircuitBreaker, TransientError } from '../services/llmResilience.js';
+import { setLogLevel } from '../services/logger.js';
+
+setLogLevel('quiet');
+
+const PROMPT = [new HumanMessage('Refine the movie title "inception"')];
+const OK = '{"refinedTitle": "Inception"}';
+const RATE_LIMITED = { error: { status: 429, message: '[429 Too Many Requests] Resource has been exhausted (e.g. check quota).' } };
+
+// One fixture entry whose "response" sequence is served call by call; callCounts tells how many calls reached the model.
+function fakeModel(responses, fixturesPath) {
+    return new FakeReplayChatModel({
+        agentName: 'titleRefinement',
+        fixturesPath,
+        entries: fixturesPath ? undefined : [{ agent: 'titleRefinement', match: 'inception', response: responses }],
+    });
+}
+
+function modelCalls(model) {
+    return model.callCounts.get(0) || 0;
+}
+
+// Records the backoff delays instead of sleeping through them.
+function recordingWait() {
+    const delays = [];
+    const wait = async ms => { delays.push(ms); };
+    return { delays, wait };
+}
+
+function resilient(model, options = {}) {
+    return createResilientLlm(model, {
+        name: 'test',
+        maxAttempts: 3,
+        baseDelayMs: 10,
+        maxDelayMs: 5000,
+        random: () => 0.5,
+        circuitBreaker: createCircuitBreaker({ threshold: 0 }),
+        ...options,
+    });
+}
+
+test('retries a 429 and returns the next successful response', async () => {
+    const model = fakeModel([RATE_LIMITED, RATE_LIMITED, OK]);
+    const { delays, wait } = recordingWait();
+    const response = await resilient(model, { wait }).invoke(PROMPT);
+    assert.equal(response.content, OK);
+    assert.equal(modelCalls(model), 3);
+    assert.deepEqual(delays, [5, 10]);
+});
+
+test('waits at least as long as Retry-After asks', async () => {
+    const model = fakeModel(undefined, 'fixtures/llm_failures/inception_rate_limited.json');
+    const { delays, wait } = recordingWait();
+    const response = await resilient(model, { wait }).invoke(PROMPT);
+    assert.match(response.content, /"refinedTitle": "Inception"/);
+    assert.deepEqual(delays, [1000]);
+});
+
+test('gives up at once when Retry-After exceeds the longest allowed wait', async () => {
+    const model = fakeModel([{ error: { ...RATE_LIMITED.error, retryAfterSeconds: 3600 } }, OK]);
+    const { delays, wait } = recordingWait();
+    await assert.rejects(resilient(model, { wait }).invoke(PROMPT), error => {
+        assert.ok(error instanceof TransientError);
+        assert.equal(error.code, 'rate_limited');
+        assert.equal(error.attempts, 1);
+        assert.equal(error.retryAfterMs, 3600 * 1000);
+        return true;
+    });
+    assert.equal(modelCalls(model), 1);
+    assert.deepEqual(delays, []);
+});
+
+test('reports the failure as transient once all attempts are used', async () => {
+    const model = fakeModel([{ error: { status: 503, message: '[503 Service Unavailable] The model is overloaded.' } }]);
+    const { wait } = recordingWait();
+    await assert.rejects(resilient(model, { wait }).invoke(PROMPT), { name: 'TransientError', code: 'unavailable', attempts: 3 });
+    assert.equal(modelCalls(model), 3);
+});
+
+test('does not retry other 4xx errors', async () => {
+    const model = fakeModel([{ error: { status: 400, message: '[400 Bad Request] Invalid argument.' } }, OK]);
+    const { delays, wait } = recordingWait();
+    await assert.rejects(resilient(model, { wait }).invoke(PROMPT), error => {
+        assert.ok(!(error instanceof TransientError));
+        assert.equal(error.status, 400);
+        return true;
+    });
+    assert.equal(modelCalls(model), 1);
+    assert.deepEqual(delays, []);
+});
+
+test('does not treat a 4xx that mentions a timeout as one', async () => {
+    const model = fakeModel([{ error: { status: 400, message: '[400 Bad Request] Invalid value for "timeout": must be a number.' } }, OK]);
+    const { delays, wait } = recordingWait();
+    await assert.rejects(resilient(model, { wait }).invoke(PROMPT), { status: 400 });
+    assert.equal(modelCalls(model), 1);
+    assert.deepEqual(delays, []);
+});
+
+test('times out a slow call and retries it', async () => {
+    const model = fakeModel([{ delayMs: 500, response: OK }, OK]);
+    const { delays, wait } = recordingWait();
+    const response = await resilient(model, { wait, timeoutMs: 20 }).invoke(PROMPT);
+    assert.equal(response.content, OK);
+    assert.equal(modelCalls(model), 2);
+    assert.equal(delays.length, 1);
+});
+
+test('reports a call that keeps timing out as a transient timeout', async () => {
+    const model = fakeModel([{ delayMs: 500, response: OK }]);
+    const { wait } = recordingWait();
+    await assert.rejects(resilient(model, { wait, timeoutMs: 20, maxAttempts: 2 }).invoke(PROMPT), { name: 'TransientError', code: 'timeout', attempts: 2 });
+});
+
+test('opens the circuit after repeated quota errors and half-opens after the cooldown', async () => {
+    let clock = 0;
+    const circuitBreaker = createCircuitBreaker({ threshold: 2, cooldownMs: 1000, now: () => clock });
+    const model = fakeModel([RATE_LIMITED, RATE_LIMITED, RATE_LIMITED, OK, OK]);
+    const { wait } = recordingWait();
+    const llm = resilient(model, { wait, circuitBreaker, maxAttempts: 5 });
+
+    // Two quota errors open the circuit; the next attempt fails fast without reaching the model.
+    await assert.rejects(llm.invoke(PROMPT), { name: 'TransientError', code: 'circuit_open', retryAfterMs: 1000 });
+    assert.equal(circuitBreaker.state, 'open');
+    assert.equal(modelCalls(model), 2);
+
+    clock += 400;
+    await assert.rejects(llm.invoke(PROMPT), { code: 'circuit_open', retryAfterMs: 600 });
+    assert.equal(modelCalls(model), 2);
+
+    // Half-open: one trial call goes through; failing it reopens the circuit at once.
+    clock += 600;
+    await assert.rejects(llm.invoke(PROMPT), { code: 'circuit_open' });
+    assert.equal(modelCalls(model), 3);
+    assert.equal(circuitBreaker.state, 'open');
+
+    // A successful trial call closes it again.
+    clock += 1000;
+    const response = await llm.invoke(PROMPT);
+    assert.equal(response.content, OK);
+    assert.equal(circuitBreaker.state, 'closed');
+    assert.equal(modelCalls(model), 4);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeReplayChatModel } from '../services/fakeChatModel.js';
+import { createLocalizationAgent } from '../agents/localizationAgent.js';
+import { setLogLevel } from '../services/logger.js';
+
+setLogLevel('quiet');
+
+const INPUT = {
+    raw_title: 'inception',
+    refinedTitle: 'Inception',
+    movieDataFromOMDB: { Response: 'True', title: 'Inception', year: '2010', mainCast: 'Leonardo DiCaprio', plotSummary: 'A thief steals secrets through dreams.' },
+    generatedTheme: 'Guilt and the nature of reality.',
+    plotSummaries: {
+        logline: { text: 'A thief plants an idea in a dream.', spoilerFree: true },
+        synopsis: { text: 'A thief and his team enter layered dreams.', spoilerFree: true },
+    },
+};
+
+function localizationAgent(responses) {
+    const llm = new FakeReplayChatModel({ agentName: 'localization', entries: [{ agent: 'localization', response: responses }] });
+    return { llm, agent: createLocalizationAgent(llm, { language: 'hi', maxRetries: 1 }) };
+}
+
+const TRANSLATED = JSON.stringify({ plotSummary: 'एक चोर सपनों से राज़ चुराता है।', theme: 'अपराधबोध और वास्तविकता।', logline: 'एक चोर सपने में विचार बोता है।', synopsis: 'एक चोर और उसकी टीम सपनों में उतरते हैं।' });
+const WITHOUT_SYNOPSIS = JSON.stringify({ plotSummary: 'एक चोर सपनों से राज़ चुराता है।', theme: 'अपराधबोध और वास्तविकता।', logline: 'एक चोर सपने में विचार बोता है।' });
+
+test('translates the plot, theme and every given summary tier', async () => {
+    const { agent } = localizationAgent([TRANSLATED]);
+    const result = await agent.invoke(INPUT);
+    assert.equal(result.outputLanguage, 'hi');
+    assert.equal(result.localizationFailure, undefined);
+    assert.equal(result.plotSummaries.synopsis.text, 'एक चोर और उसकी टीम सपनों में उतरते हैं।');
+    assert.equal(result.plotSummaries.synopsis.spoilerFree, true);
+});
+
+test('re-prompts when a given summary tier is missing from the translation', async () => {
+    const { llm, agent } = localizationAgent([WITHOUT_SYNOPSIS, TRANSLATED]);
+    const result = await agent.invoke(INPUT);
+    assert.equal(llm.callCounts.get(0), 2);
+    assert.equal(result.localizationFailure, undefined);
+    assert.equal(result.plotSummaries.synopsis.text, 'एक चोर और उसकी टीम सपनों में उतरते हैं।');
+});
+
+test('fails the translation instead of falling back to English when a tier stays missing', async () => {
+    const { agent } = localizationAgent([WITHOUT_SYNOPSIS]);
+    const result = await agent.invoke(INPUT);
+    assert.equal(result.outputLanguage, 'hi');
+    assert.equal(result.localizationFailure.language, 'hi');
+    assert.deepEqual(result.validationFailures.map(failure => failure.agent), ['localization']);
+    assert.deepEqual(result.validationFailures[0].failedFields, ['synopsis']);
+});
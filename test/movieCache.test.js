@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createMovieCache, movieCacheKey } from '../services/movieCache.js';
+import { setLogLevel } from '../services/logger.js';
+
+setLogLevel('quiet');
+
+async function tempCachePath(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'movie-cache-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return path.join(dir, 'movie_cache.json');
+}
+
+test('movieCacheKey normalizes the title and keeps year and data source apart', () => {
+    assert.equal(movieCacheKey('  The Matrix! ', '1999', 'omdb'), 'the matrix|1999|omdb');
+    assert.equal(movieCacheKey('Amélie', '2001', 'llm'), movieCacheKey('amelie', '2001', 'llm'));
+    assert.notEqual(movieCacheKey('Inception', '2010', 'llm'), movieCacheKey('Inception', '2010', 'omdb'));
+    assert.notEqual(movieCacheKey('Dune', '1984', 'omdb'), movieCacheKey('Dune', '2021', 'omdb'));
+    assert.equal(movieCacheKey('दंगल', '2016', 'llm'), 'दंगल|2016|llm');
+});
+
+test('movieCacheKey is null for titles without a usable key, and such entries are never stored', async t => {
+    assert.equal(movieCacheKey('   ', '2010', 'llm'), null);
+    assert.equal(movieCacheKey(undefined), null);
+
+    const cache = createMovieCache({ filePath: await tempCachePath(t) });
+    await cache.setMovie('  ', '2010', 'llm', { movieDataFromOMDB: { title: 'x' } });
+    assert.equal(await cache.getMovie('', '2010', 'llm'), null);
+    assert.deepEqual((await cache.list()).movies, []);
+});
+
+test('a record cached from one data source is not served for the other', async t => {
+    const cache = createMovieCache({ filePath: await tempCachePath(t) });
+    await cache.setMovie('Inception', '2010', 'llm', { movieDataFromOMDB: { title: 'Inception', dataSource: 'llm' } });
+    assert.equal(await cache.getMovie('Inception', '2010', 'omdb'), null);
+    assert.equal((await cache.getMovie('inception', '2010', 'llm')).movieDataFromOMDB.dataSource, 'llm');
+});
+
+test('entries older than the TTL are ignored and cleared with expiredOnly', async t => {
+    let clock = 1_000_000;
+    const cache = createMovieCache({ filePath: await tempCachePath(t), ttlMs: 1000, now: () => clock });
+    await cache.setRefinedTitle('inceptio', { refinedTitle: 'Inception', refinedYear: '2010' });
+    clock += 500;
+    await cache.setRefinedTitle('matrix', { refinedTitle: 'The Matrix', refinedYear: '1999' });
+
+    clock += 600;
+    assert.equal(await cache.getRefinedTitle('inceptio'), null);
+    assert.equal((await cache.getRefinedTitle('matrix')).refinedTitle, 'The Matrix');
+    assert.equal(await cache.clear({ expiredOnly: true }), 1);
+    assert.deepEqual((await cache.list()).titles.map(entry => entry.key), ['matrix']);
+});
+
+test('caches sharing a file keep each other\'s entries', async t => {
+    const filePath = await tempCachePath(t);
+    const server = createMovieCache({ filePath });
+    const cli = createMovieCache({ filePath });
+
+    // Both have loaded the (empty) file before either writes.
+    assert.equal(await server.getRefinedTitle('inceptio'), null);
+    assert.equal(await cli.getRefinedTitle('matrix'), null);
+    await server.setRefinedTitle('inceptio', { refinedTitle: 'Inception', refinedYear: '2010' });
+    await cli.setRefinedTitle('matrix', { refinedTitle: 'The Matrix', refinedYear: '1999' });
+
+    assert.equal((await server.getRefinedTitle('matrix')).refinedTitle, 'The Matrix');
+    const fresh = createMovieCache({ filePath });
+    assert.equal((await fresh.getRefinedTitle('inceptio')).refinedTitle, 'Inception');
+    assert.equal((await fresh.getRefinedTitle('matrix')).refinedTitle, 'The Matrix');
+});
+
+test('a cache file that cannot be written does not fail the lookup that stores into it', async t => {
+    const filePath = await tempCachePath(t);
+    await fs.mkdir(filePath);
+    const cache = createMovieCache({ filePath });
+    await cache.setRefinedTitle('inceptio', { refinedTitle: 'Inception', refinedYear: '2010' });
+    await cache.setRefinedTitle('matrix', { refinedTitle: 'The Matrix', refinedYear: '1999' });
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMovieDataAndThemeAgent } from '../agents/movieDataAndThemeAgent.js';
+import { setLogLevel } from '../services/logger.js';
+
+setLogLevel('quiet');
+
+const BLADE_RUNNER_2049 = { Response: 'True', Title: 'Blade Runner 2049', Year: '2017', imdbID: 'tt1856101', Plot: 'N/A' };
+const NOT_FOUND = { Response: 'False', Error: 'Movie not found!' };
+
+// An OMDb client that only knows "Blade Runner 2049", and only by its full title.
+function fakeOmdbClient() {
+    const lookups = [];
+    return {
+        lookups,
+        async findMovie(title, { year } = {}) {
+            lookups.push({ title, year });
+            return title === 'Blade Runner 2049' && !year ? BLADE_RUNNER_2049 : NOT_FOUND;
+        },
+    };
+}
+
+function createAgent(omdbClient) {
+    const llm = { invoke: () => assert.fail('no LLM call is expected without a plot') };
+    return createMovieDataAndThemeAgent(llm, { dataSource: 'omdb', omdbClient, generateSummaries: false });
+}
+
+test('retries the full title when refinement moved a trailing number into the year', async () => {
+    const omdb = fakeOmdbClient();
+    const result = await createAgent(omdb).invoke({ raw_title: 'blade runner 2049', refinedTitle: 'Blade Runner', refinedYear: '2049', titleIsUncertain: false });
+    assert.equal(result.movieDataFromOMDB.Response, 'True');
+    assert.equal(result.movieDataFromOMDB.title, 'Blade Runner 2049');
+    assert.deepEqual(omdb.lookups, [
+        { title: 'Blade Runner', year: '2049' },
+        { title: 'Blade Runner 2049', year: undefined },
+    ]);
+});
+
+test('retries the full title when the trailing number stayed in the refined title', async () => {
+    const omdb = fakeOmdbClient();
+    const result = await createAgent(omdb).invoke({ raw_title: 'blade runner 2049', refinedTitle: 'Blade Runner 2049', refinedYear: null, titleIsUncertain: false });
+    assert.equal(result.movieDataFromOMDB.imdbID, 'tt1856101');
+    assert.deepEqual(omdb.lookups, [
+        { title: 'Blade Runner', year: '2049' },
+        { title: 'Blade Runner 2049', year: undefined },
+    ]);
+});
+
+test('reports a movie as not found when the full title does not match either', async () => {
+    const omdb = fakeOmdbClient();
+    const result = await createAgent(omdb).invoke({ raw_title: 'nosuch 1999', refinedTitle: 'Nosuch', refinedYear: '1999', titleIsUncertain: false });
+    assert.equal(result.movieDataFromOMDB.Response, 'False');
+    assert.equal(omdb.lookups.length, 2);
+});
+
+test('does not retry without a year', async () => {
+    const omdb = fakeOmdbClient();
+    await createAgent(omdb).invoke({ raw_title: 'nosuch', refinedTitle: 'Nosuch', refinedYear: null, titleIsUncertain: false });
+    assert.deepEqual(omdb.lookups, [{ title: 'Nosuch', year: undefined }]);
+});
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createOmdbClient } from '../services/omdbClient.js';
+import { setLogLevel } from '../services/logger.js';
+
+setLogLevel('quiet');
+
+// A local stand-in for OMDb: each request's query is recorded and answered by the test's handler.
+async function startOmdbStub(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+        requests.push(params);
+        const { status = 200, body } = handler(params);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+    return { baseUrl, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+function searchPage(page, count) {
+    return Array.from({ length: count }, (_, index) => ({
+        Title: `Inception ${page}-${index}`,
+        Year: '2010',
+        imdbID: `tt${page}${String(index).padStart(6, '0')}`,
+        Type: 'movie',
+    }));
+}
+
+async function withStub(handler, run) {
+    const stub = await startOmdbStub(handler);
+    try {
+        await run(createOmdbClient({ apiKey: 'test-key', baseUrl: stub.baseUrl, timeoutMs: 2000 }), stub);
+    } finally {
+        await stub.close();
+    }
+}
+
+test('passes Response "False" through as a non-transient error', async () => {
+    await withStub(() => ({ body: { Response: 'False', Error: 'Movie not found!' } }), async omdb => {
+        const result = await omdb.getByTitle('No Such Movie');
+        assert.deepEqual(result, { Response: 'False', Error: 'Movie not found!' });
+    });
+});
+
+test('reports the daily request limit as transient, not as a missing movie', async () => {
+    await withStub(() => ({ status: 401, body: { Response: 'False', Error: 'Request limit reached!' } }), async (omdb, stub) => {
+        const result = await omdb.findMovie('Inception', { year: '2010' });
+        assert.deepEqual(result, { Response: 'False', Error: 'Request limit reached!', transient: true });
+        // No search is attempted once the lookup says the service is unavailable.
+        assert.equal(stub.requests.length, 1);
+    });
+});
+
+test('reports server errors as transient', async () => {
+    await withStub(() => ({ status: 503, body: {} }), async omdb => {
+        const result = await omdb.getById('tt1375666');
+        assert.equal(result.Response, 'False');
+        assert.equal(result.transient, true);
+        assert.match(result.Error, /HTTP 503/);
+    });
+});
+
+test('collects paged "s=" search results up to maxPages', async () => {
+    await withStub(params => ({
+        body: { Response: 'True', totalResults: '35', Search: searchPage(params.page, 10) },
+    }), async (omdb, stub) => {
+        const result = await omdb.searchAllPages('inception', { year: '2010', maxPages: 3 });
+        assert.equal(result.Response, 'True');
+        assert.equal(result.totalResults, '35');
+        assert.equal(result.Search.length, 30);
+        assert.deepEqual(stub.requests.map(params => params.page), ['1', '2', '3']);
+        for (const params of stub.requests) {
+            assert.equal(params.apikey, 'test-key');
+            assert.equal(params.s, 'inception');
+            assert.equal(params.y, '2010');
+            assert.equal(params.type, 'movie');
+        }
+    });
+});
+
+test('falls back to search and looks the best match up by "i=" when the title lookup misses', async () => {
+    const inception = { Response: 'True', Title: 'Inception', Year: '2010', imdbID: 'tt1375666', Plot: 'A thief who steals corporate secrets...' };
+    await withStub(params => {
+        if (params.t) return { body: { Response: 'False', Error: 'Movie not found!' } };
+        if (params.s) {
+            return {
+                body: {
+                    Response: 'True',
+                    totalResults: '2',
+                    Search: [
+                        { Title: 'Inception: The Cobol Job', Year: '2010', imdbID: 'tt5295894', Type: 'movie' },
+                        { Title: 'Inception', Year: '2010', imdbID: 'tt1375666', Type: 'movie' },
+                    ],
+                },
+            };
+        }
+        return { body: params.i === 'tt1375666' ? inception : { Response: 'False', Error: 'Incorrect IMDb ID.' } };
+    }, async (omdb, stub) => {
+        const result = await omdb.findMovie('inception');
+        assert.deepEqual(result, inception);
+        assert.deepEqual(stub.requests.map(params => Object.keys(params).find(key => ['t', 's', 'i'].includes(key))), ['t', 's', 'i']);
+        assert.equal(stub.requests[2].plot, 'full');
+    });
+});
+
+test('the movie data agent reaches OMDb through OMDB_BASE_URL and reports the daily limit as unavailable', async () => {
+    const stub = await startOmdbStub(() => ({ status: 401, body: { Response: 'False', Error: 'Request limit reached!' } }));
+    try {
+        // The agent reads its OMDb settings when it is first imported.
+        process.env.OMDB_BASE_URL = stub.baseUrl;
+        process.env.OMDB_API_KEY = 'test-key';
+        const { createMovieDataAndThemeAgent } = await import('../agents/movieDataAndThemeAgent.js');
+        const agent = createMovieDataAndThemeAgent({ invoke: () => assert.fail('the LLM must not be called') }, { dataSource: 'omdb' });
+
+        const result = await agent.invoke({ raw_title: 'inception', refinedTitle: 'Inception', refinedYear: '2010', titleIsUncertain: false });
+        assert.equal(result.transientFailure?.code, 'unavailable');
+        assert.match(result.transientFailure.message, /Request limit reached!/);
+        assert.equal(stub.requests[0].apikey, 'test-key');
+        assert.equal(stub.requests[0].t, 'Inception');
+    } finally {
+        await stub.close();
+    }
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getRenderer, buildMovieRecord } from '../renderers/index.js';
+import { parseMovieFile } from '../services/movieLibrary.js';
+import { setLogLevel } from '../services/logger.js';
+
+setLogLevel('quiet');
+
+const DETERMINISTIC_FORMATS = ['txt', 'markdown', 'json', 'html'];
+
+function movieRecord(extra = {}) {
+    return buildMovieRecord({
+        movieDataFromOMDB: {
+            title: 'Heat',
+            year: '1995',
+            imdbID: 'tt0113277',
+            imdbRating: '8.3',
+            mainCast: 'Al Pacino, Robert De Niro, N/A',
+            genre: 'Action, Crime, Drama',
+            plotSummary: 'A detective hunts a crew of thieves.',
+            dataSource: 'omdb',
+        },
+        generatedTheme: 'Obsession on both sides of the law.',
+        plotSummaries: {
+            logline: { text: 'A detective hunts a crew of thieves.', containsSpoilers: false },
+            synopsis: { text: 'The crew\'s last score goes wrong and the thief is shot at the airport.', containsSpoilers: true },
+            full: { text: 'Everything, including the ending.', containsSpoilers: true },
+        },
+        summaryTiers: ['logline', 'synopsis'],
+        ...extra,
+    });
+}
+
+test('builds a record with only the requested summary tiers and without "N/A" list items', () => {
+    const record = movieRecord();
+    assert.deepEqual(record.mainCast, ['Al Pacino', 'Robert De Niro']);
+    assert.equal(record.imdbRating, 8.3);
+    assert.deepEqual(Object.keys(record.summaries), ['logline', 'synopsis']);
+});
+
+for (const format of DETERMINISTIC_FORMATS) {
+    test(`a ${format} file reads back as the record it was rendered from`, async () => {
+        for (const outputLanguage of ['en', 'hi']) {
+            const record = movieRecord({ outputLanguage });
+            const renderer = getRenderer(format);
+            const content = await renderer.render(record, {});
+
+            const parsed = parseMovieFile(`heat_1995.${renderer.extension}`, content);
+            assert.equal(parsed.title, 'Heat');
+            assert.equal(parsed.year, '1995');
+            assert.equal(parsed.imdbRating, 8.3);
+            assert.deepEqual(parsed.mainCast, record.mainCast);
+            assert.deepEqual(parsed.genre, record.genre);
+            assert.equal(parsed.theme, record.theme);
+            assert.equal(parsed.language, outputLanguage);
+            assert.deepEqual(parsed.summaries, {
+                logline: { text: 'A detective hunts a crew of thieves.', containsSpoilers: false },
+                synopsis: { text: 'The crew\'s last score goes wrong and the thief is shot at the airport.', containsSpoilers: true },
+            });
+        }
+    });
+}
+
+test('html output escapes text taken from the movie data', async () => {
+    const record = buildMovieRecord({ movieDataFromOMDB: { title: '<script>alert(1)</script>', year: '2000', plotSummary: 'Tom & Jerry' } });
+    const content = await getRenderer('html').render(record, {});
+    assert.doesNotMatch(content.replace(/<script type="application\/json" id="movie-data">[\s\S]*?<\/script>/, ''), /<script>alert/);
+    assert.match(content, /<p>Tom &amp; Jerry<\/p>/);
+    assert.equal(parseMovieFile('movie.html', content).title, '<script>alert(1)</script>');
+});
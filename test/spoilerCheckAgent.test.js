@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeReplayChatModel } from '../services/fakeChatModel.js';
+import { createSpoilerCheckAgent } from '../agents/spoilerCheckAgent.js';
+import { setLogLevel } from '../services/logger.js';
+
+setLogLevel('quiet');
+
+function summaries(logline, synopsis) {
+    return {
+        logline: { text: logline, containsSpoilers: false },
+        synopsis: { text: synopsis, containsSpoilers: false },
+        full: { text: 'The whole story, up to the last scene.', containsSpoilers: true },
+    };
+}
+
+function input(plotSummaries) {
+    return { refinedTitle: 'Test Movie', movieDataFromOMDB: { title: 'Test Movie', year: '2020' }, plotSummaries };
+}
+
+// An LLM that never answers with valid JSON, so the agent falls back to its keyword heuristic.
+function heuristicAgent() {
+    const llm = new FakeReplayChatModel({ agentName: 'spoilerCheck', entries: [{ agent: 'spoilerCheck', response: 'not json' }] });
+    return createSpoilerCheckAgent(llm, { maxRetries: 0 });
+}
+
+test('marks a tier as a spoiler when the LLM says it reveals the ending', async () => {
+    const verdicts = JSON.stringify({ logline: { revealsEnding: false, reason: '' }, synopsis: { revealsEnding: true, reason: 'names the killer' } });
+    const llm = new FakeReplayChatModel({ agentName: 'spoilerCheck', entries: [{ agent: 'spoilerCheck', response: verdicts }] });
+    const result = await createSpoilerCheckAgent(llm).invoke(input(summaries('A detective hunts a killer.', 'The butler did it.')));
+    assert.equal(result.plotSummaries.logline.containsSpoilers, false);
+    assert.equal(result.plotSummaries.synopsis.containsSpoilers, true);
+    assert.deepEqual(result.plotSummaries.synopsis.spoilerCheck, { method: 'llm', revealsEnding: true, reason: 'names the killer' });
+});
+
+test('falls back to keyword cues when the LLM check fails', async () => {
+    const result = await heuristicAgent().invoke(input(summaries('A knight seeks the grail.', 'In the end, the knight is killed by his brother.')));
+    assert.equal(result.plotSummaries.logline.containsSpoilers, false);
+    assert.equal(result.plotSummaries.synopsis.containsSpoilers, true);
+    assert.equal(result.plotSummaries.synopsis.spoilerCheck.method, 'heuristic');
+    assert.deepEqual(result.validationFailures.map(failure => failure.agent), ['spoilerCheck']);
+});
+
+test('does not flag harmless uses of the word "ending"', async () => {
+    const result = await heuristicAgent().invoke(input(summaries('Two rivals are locked in a never-ending chase.', 'A runaway heiress keeps ending up in Paris.')));
+    assert.equal(result.plotSummaries.logline.containsSpoilers, false);
+    assert.equal(result.plotSummaries.synopsis.containsSpoilers, false);
+});
+
+test('still flags a summary that gives away a twist ending', async () => {
+    const result = await heuristicAgent().invoke(input(summaries('A heist film with a twist ending.', 'A crew plans one last job.')));
+    assert.equal(result.plotSummaries.logline.containsSpoilers, true);
+    assert.equal(result.plotSummaries.logline.spoilerCheck.reason, 'mentions "a twist ending"');
+});
@@ -1,3 +1,6 @@
+import fs from 'fs/promises';
+import path from 'path';
+
 export function sanitizeFilename(name) {
     if (!name || typeof name !== 'string') return 'untitled_movie';
     return name
@@ -8,14 +11,78 @@ export function sanitizeFilename(name) {
         .slice(0, 100);
 }
 
-export function extractJsonFromString(str) {
-    if (typeof str !== 'string') {
-        console.warn("extractJsonFromString: input was not a string, returning as is.", str);
-        return str;
+export async function writeFileAtomic(filePath, content) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+    try {
+        await fs.writeFile(tempPath, content);
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
     }
-    const match = str.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-    if (match && match[1]) {
-        return match[1].trim();
+}
+
+const exclusiveQueues = new Map();
+
+// Runs tasks sharing a key one after another, e.g. read-modify-write cycles of the same file.
+// A key is forgotten once its last queued task has settled, so long-running servers do not keep
+// one entry per file ever written.
+export function runExclusive(key, task) {
+    const next = (exclusiveQueues.get(key) || Promise.resolve()).then(task, task);
+    const tail = next.catch(() => {}).then(() => {
+        if (exclusiveQueues.get(key) === tail) exclusiveQueues.delete(key);
+    });
+    exclusiveQueues.set(key, tail);
+    return next;
+}
+
+export async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
     }
-    return str.trim();
-}
\ No newline at end of file
+}
+
+// Resolves after ms, or rejects with the signal's reason as soon as it is aborted.
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "2010" or "2010–2014" -> 2010; null when there is no four-digit year.
+export function leadingYear(value) {
+    const match = String(value ?? '').match(/\d{4}/);
+    return match ? Number(match[0]) : null;
+}
+
+// "Action, Sci-Fi, N/A" -> ['Action', 'Sci-Fi'].
+export function splitList(value) {
+    return String(value ?? '').split(',').map(item => item.trim()).filter(item => item && item !== 'N/A');
+}
+
+// Chat message content is either a string or a list of parts (text blocks, images, ...).
+export function messageContentText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+    return content === undefined || content === null ? '' : String(content);
+}